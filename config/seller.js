@@ -0,0 +1,10 @@
+// Seller details printed on invoices and delivery documents
+module.exports = {
+  name: process.env.SELLER_NAME || 'SWIBI Collection',
+  address: process.env.SELLER_ADDRESS || '',
+  city: process.env.SELLER_CITY || '',
+  phone: process.env.SELLER_PHONE || '',
+  email: process.env.SELLER_EMAIL || '',
+  ice: process.env.SELLER_ICE || '',
+  rc: process.env.SELLER_RC || ''
+};
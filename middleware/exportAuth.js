@@ -0,0 +1,10 @@
+const auth = require('./auth');
+
+// Browser downloads cannot send headers, so file downloads also accept ?token=
+module.exports = (req, res, next) => {
+  if (!req.header('x-auth-token') && req.query.token) {
+    req.headers['x-auth-token'] = req.query.token;
+  }
+
+  auth(req, res, next);
+};
@@ -69,7 +69,23 @@ const uploadTemp = multer({
   }
 });
 
+// Catalog spreadsheets for the bulk product import
+const uploadSpreadsheet = multer({
+  storage: tempStorage,
+  fileFilter: (req, file, cb) => {
+    if (['.xlsx', '.csv'].includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .xlsx and .csv files are allowed!'), false);
+    }
+  },
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB
+  }
+});
+
 module.exports = {
   upload,
-  uploadTemp
+  uploadTemp,
+  uploadSpreadsheet
 };
\ No newline at end of file
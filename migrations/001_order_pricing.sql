@@ -0,0 +1,22 @@
+-- Server-side order pricing
+-- Order lines keep the catalog list price next to the discounted price,
+-- and orders store the totals computed when the order was placed.
+
+ALTER TABLE order_items
+  ADD COLUMN unit_price DECIMAL(10,2) NULL AFTER quantity;
+
+ALTER TABLE orders
+  ADD COLUMN subtotal DECIMAL(10,2) NOT NULL DEFAULT 0,
+  ADD COLUMN discount_total DECIMAL(10,2) NOT NULL DEFAULT 0,
+  ADD COLUMN total DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- Backfill existing orders from the prices stored on their lines
+UPDATE order_items SET unit_price = price WHERE unit_price IS NULL;
+
+UPDATE orders o
+JOIN (
+  SELECT order_id, SUM(price * quantity) AS total
+  FROM order_items
+  GROUP BY order_id
+) t ON t.order_id = o.id
+SET o.subtotal = t.total, o.total = t.total;
@@ -0,0 +1,13 @@
+-- Track whether an order currently holds stock, so status changes
+-- never deduct or return the same items twice.
+
+ALTER TABLE orders
+  ADD COLUMN stock_deducted TINYINT(1) NOT NULL DEFAULT 0;
+
+-- Website orders deducted stock when they were placed. Orders that already
+-- moved past pending are treated as settled, since their stock was handled
+-- by hand before this change.
+UPDATE orders
+SET stock_deducted = 1
+WHERE status <> 'cancelled'
+  AND (order_source <> 'whatsapp' OR status <> 'pending');
@@ -0,0 +1,19 @@
+-- Order status state machine: new intermediate states and an audit trail
+-- of every status change.
+
+ALTER TABLE orders
+  MODIFY COLUMN status ENUM('pending', 'confirmed', 'shipped', 'delivered', 'returned', 'cancelled')
+  NOT NULL DEFAULT 'pending';
+
+-- History starts with this migration; earlier changes were never recorded
+CREATE TABLE order_status_history (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  from_status VARCHAR(20) NULL,
+  to_status VARCHAR(20) NOT NULL,
+  admin_id INT NULL,
+  admin_username VARCHAR(100) NULL,
+  note TEXT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_order_status_history_order (order_id, created_at)
+);
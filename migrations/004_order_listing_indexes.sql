@@ -0,0 +1,5 @@
+-- Indexes for the paginated admin order listing
+
+CREATE INDEX idx_orders_order_date ON orders (order_date);
+CREATE INDEX idx_orders_status_date ON orders (status, order_date);
+CREATE INDEX idx_orders_source_date ON orders (order_source, order_date);
@@ -0,0 +1,12 @@
+-- Audit trail of admin edits to order lines and customer details
+
+CREATE TABLE order_changes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  action VARCHAR(50) NOT NULL,
+  details TEXT NULL,
+  admin_id INT NULL,
+  admin_username VARCHAR(100) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_order_changes_order (order_id, created_at)
+);
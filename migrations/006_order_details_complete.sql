@@ -0,0 +1,10 @@
+-- Mark whether an order has real customer contact and delivery details.
+-- WhatsApp orders start with placeholders until an admin fills them in.
+
+ALTER TABLE orders
+  ADD COLUMN details_complete TINYINT(1) NOT NULL DEFAULT 0;
+
+UPDATE orders
+SET details_complete = 1
+WHERE order_source <> 'whatsapp'
+  OR (phone <> 'WhatsApp' AND address <> 'To be provided via WhatsApp');
@@ -0,0 +1,18 @@
+-- Invoices with gapless sequential numbers per year (FAC-2025-00001)
+
+CREATE TABLE invoice_sequences (
+  year SMALLINT PRIMARY KEY,
+  last_number INT NOT NULL DEFAULT 0
+);
+
+CREATE TABLE invoices (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  invoice_number VARCHAR(30) NOT NULL,
+  subtotal DECIMAL(10,2) NOT NULL DEFAULT 0,
+  discount_total DECIMAL(10,2) NOT NULL DEFAULT 0,
+  total DECIMAL(10,2) NOT NULL DEFAULT 0,
+  issued_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_invoices_order (order_id),
+  UNIQUE KEY uq_invoices_number (invoice_number)
+);
@@ -0,0 +1,21 @@
+-- Order exports run as background jobs; this table is the download history
+
+CREATE TABLE export_jobs (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  admin_id INT NULL,
+  format VARCHAR(10) NOT NULL,
+  filters TEXT NULL,
+  status ENUM('queued', 'running', 'completed', 'failed', 'expired') NOT NULL DEFAULT 'queued',
+  progress TINYINT UNSIGNED NOT NULL DEFAULT 0,
+  order_count INT NULL,
+  filename VARCHAR(255) NULL,
+  mime_type VARCHAR(100) NULL,
+  download_token VARCHAR(64) NULL,
+  error TEXT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP NULL,
+  expires_at TIMESTAMP NULL,
+  UNIQUE KEY uq_export_jobs_token (download_token),
+  INDEX idx_export_jobs_admin (admin_id, created_at),
+  INDEX idx_export_jobs_expiry (status, expires_at)
+);
@@ -0,0 +1,14 @@
+-- Daily and weekly sales reports generated by the in-process scheduler
+
+CREATE TABLE sales_reports (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  type ENUM('daily', 'weekly') NOT NULL,
+  period_start DATE NOT NULL,
+  period_end DATE NOT NULL,
+  summary TEXT NULL,
+  excel_filename VARCHAR(255) NULL,
+  pdf_filename VARCHAR(255) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_sales_reports_period (type, period_start),
+  INDEX idx_sales_reports_created (created_at)
+);
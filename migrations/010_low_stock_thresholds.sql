@@ -0,0 +1,8 @@
+-- Low-stock alert thresholds; NULL falls back to the product threshold,
+-- then to LOW_STOCK_THRESHOLD from the environment
+
+ALTER TABLE products
+  ADD COLUMN low_stock_threshold INT NULL AFTER stock;
+
+ALTER TABLE product_colors
+  ADD COLUMN low_stock_threshold INT NULL AFTER stock;
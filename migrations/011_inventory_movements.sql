@@ -0,0 +1,28 @@
+-- Ledger of every stock change. quantity is signed (negative leaves stock),
+-- stock_after is the level of the product or color right after the change.
+-- color_id is NULL for movements of the product-level stock.
+
+CREATE TABLE inventory_movements (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  product_id INT NOT NULL,
+  color_id INT NULL,
+  quantity INT NOT NULL,
+  stock_after INT NOT NULL,
+  type ENUM('opening', 'sale', 'cancellation', 'return', 'order_edit', 'adjustment', 'restock', 'product_edit') NOT NULL,
+  reason VARCHAR(255) NULL,
+  order_id INT NULL,
+  admin_id INT NULL,
+  admin_username VARCHAR(100) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_inventory_movements_record (product_id, color_id, created_at),
+  INDEX idx_inventory_movements_order (order_id)
+);
+
+-- Start the ledger from the current stock so it reconciles from day one
+INSERT INTO inventory_movements (product_id, color_id, quantity, stock_after, type, reason)
+SELECT id, NULL, stock, stock, 'opening', 'Opening balance'
+FROM products;
+
+INSERT INTO inventory_movements (product_id, color_id, quantity, stock_after, type, reason)
+SELECT product_id, id, stock, stock, 'opening', 'Opening balance'
+FROM product_colors;
@@ -0,0 +1,14 @@
+-- Normalized copies of the product texts for search (lowercase, accents and
+-- Arabic diacritics stripped, letter variants folded). They are filled by the
+-- server: on product save, on catalog import and at startup for rows still NULL.
+
+ALTER TABLE products
+  ADD COLUMN search_name TEXT NULL,
+  ADD COLUMN search_desc TEXT NULL;
+
+-- The combined index finds the matches, the name index ranks name matches first
+ALTER TABLE products
+  ADD FULLTEXT INDEX ft_products_search (search_name, search_desc);
+
+ALTER TABLE products
+  ADD FULLTEXT INDEX ft_products_search_name (search_name);
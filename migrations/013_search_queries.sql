@@ -0,0 +1,12 @@
+-- Searches made on the storefront, one row per normalized query, used to
+-- suggest popular queries while the customer types
+
+CREATE TABLE search_queries (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  query VARCHAR(191) NOT NULL,
+  search_count INT NOT NULL DEFAULT 1,
+  result_count INT NOT NULL DEFAULT 0,
+  last_searched_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_search_queries_query (query),
+  INDEX idx_search_queries_popular (search_count)
+);
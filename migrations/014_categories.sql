@@ -0,0 +1,35 @@
+-- Categories as their own records, with translations, image, order and nesting.
+-- products.category keeps the category slug for older clients; category_id is the reference.
+
+CREATE TABLE categories (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  parent_id INT NULL,
+  name_fr VARCHAR(255) NOT NULL,
+  name_ar VARCHAR(255) NOT NULL,
+  slug VARCHAR(191) NOT NULL,
+  image VARCHAR(500) NULL,
+  sort_order INT NOT NULL DEFAULT 0,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_categories_slug (slug),
+  INDEX idx_categories_parent (parent_id, sort_order),
+  CONSTRAINT fk_categories_parent FOREIGN KEY (parent_id) REFERENCES categories(id)
+);
+
+ALTER TABLE products
+  ADD COLUMN category_id INT NULL AFTER category,
+  ADD INDEX idx_products_category (category_id),
+  ADD CONSTRAINT fk_products_category FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE SET NULL;
+
+-- One category per distinct free-text category. There is no Arabic name yet,
+-- so the French one is copied; fix the names and slugs from the admin.
+INSERT INTO categories (name_fr, name_ar, slug)
+SELECT MIN(TRIM(category)), MIN(TRIM(category)), LOWER(REPLACE(TRIM(category), ' ', '-'))
+FROM products
+WHERE category IS NOT NULL AND TRIM(category) <> ''
+GROUP BY LOWER(REPLACE(TRIM(category), ' ', '-'));
+
+UPDATE products p
+JOIN categories c ON c.slug = LOWER(REPLACE(TRIM(p.category), ' ', '-'))
+SET p.category_id = c.id, p.category = c.slug;
@@ -0,0 +1,73 @@
+-- Product variants beyond color: each variant combines option values
+-- (color, size, volume...) and has its own SKU, price, stock and image.
+-- Colors become variants that keep their IDs, so order lines and stock
+-- movements pointing to a color point to the same variant.
+
+CREATE TABLE product_option_types (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  code VARCHAR(50) NOT NULL,
+  name_fr VARCHAR(100) NOT NULL,
+  name_ar VARCHAR(100) NOT NULL,
+  sort_order INT NOT NULL DEFAULT 0,
+  UNIQUE KEY uq_product_option_types_code (code)
+);
+
+INSERT INTO product_option_types (code, name_fr, name_ar, sort_order) VALUES
+  ('color', 'Couleur', 'اللون', 1),
+  ('size', 'Taille', 'المقاس', 2),
+  ('volume', 'Contenance', 'الحجم', 3);
+
+-- name_fr/name_ar hold the option values joined for display ("Rouge / 50 ml"),
+-- hex_code the swatch of the color option. A NULL price uses the product price.
+CREATE TABLE product_variants (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  product_id INT NOT NULL,
+  sku VARCHAR(64) NULL,
+  name_fr VARCHAR(255) NOT NULL DEFAULT '',
+  name_ar VARCHAR(255) NOT NULL DEFAULT '',
+  hex_code VARCHAR(7) NULL,
+  price DECIMAL(10,2) NULL,
+  stock INT NOT NULL DEFAULT 0,
+  low_stock_threshold INT NULL,
+  image VARCHAR(500) NULL,
+  sort_order INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_product_variants_sku (sku),
+  INDEX idx_product_variants_product (product_id, sort_order)
+);
+
+CREATE TABLE product_variant_options (
+  variant_id INT NOT NULL,
+  option_type_id INT NOT NULL,
+  value_fr VARCHAR(100) NOT NULL,
+  value_ar VARCHAR(100) NOT NULL,
+  hex_code VARCHAR(7) NULL,
+  PRIMARY KEY (variant_id, option_type_id),
+  INDEX idx_product_variant_options_value (option_type_id, value_fr),
+  CONSTRAINT fk_product_variant_options_variant FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+  CONSTRAINT fk_product_variant_options_type FOREIGN KEY (option_type_id) REFERENCES product_option_types(id)
+);
+
+-- Existing colors become color variants
+INSERT INTO product_variants (id, product_id, sku, name_fr, name_ar, hex_code, stock, low_stock_threshold, image, sort_order)
+SELECT id, product_id, CONCAT('P', product_id, '-V', id), name_fr, name_ar, hex_code, stock, low_stock_threshold, image, id
+FROM product_colors;
+
+INSERT INTO product_variant_options (variant_id, option_type_id, value_fr, value_ar, hex_code)
+SELECT pc.id, t.id, pc.name_fr, pc.name_ar, pc.hex_code
+FROM product_colors pc
+JOIN product_option_types t ON t.code = 'color';
+
+-- Order lines and stock movements now reference variants. color_id is kept
+-- for history and product_colors is no longer read or written; both can be
+-- dropped once this migration has been checked.
+ALTER TABLE order_items
+  ADD COLUMN variant_id INT NULL AFTER color_id;
+
+UPDATE order_items SET variant_id = color_id WHERE color_id IS NOT NULL;
+
+ALTER TABLE inventory_movements
+  ADD COLUMN variant_id INT NULL AFTER color_id,
+  ADD INDEX idx_inventory_movements_variant (product_id, variant_id, created_at);
+
+UPDATE inventory_movements SET variant_id = color_id WHERE color_id IS NOT NULL;
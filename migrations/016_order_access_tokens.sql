@@ -0,0 +1,5 @@
+-- Secret given to the storefront with each WhatsApp order, required to read
+-- the order's WhatsApp message again. Orders placed before have none.
+
+ALTER TABLE orders
+  ADD COLUMN access_token CHAR(32) NULL;
@@ -0,0 +1,157 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const {
+  PERIODS,
+  TOP_SORTS,
+  getSummary,
+  getSalesOverTime,
+  getBreakdown,
+  getTopProducts,
+  getTopVariants,
+  getTopColors
+} = require('../services/analyticsService');
+
+// Read ?startDate=&endDate= (YYYY-MM-DD), or null when a date is malformed
+function parseRange(query) {
+  const { startDate, endDate } = query;
+  const isDate = (value) => !value || /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+  if (!isDate(startDate) || !isDate(endDate)) {
+    return null;
+  }
+
+  return { startDate, endDate };
+}
+
+// Read ?sort= and ?limit= for the top lists
+function parseTopOptions(query) {
+  const sort = query.sort || 'quantity';
+  const limit = Math.min(Math.max(parseInt(query.limit) || 10, 1), 100);
+
+  return TOP_SORTS[sort] ? { sort, limit } : null;
+}
+
+// @route   GET api/analytics/summary
+// @desc    Revenue, order count, average basket and cancellation rate
+// @access  Private (admin only)
+router.get('/summary', auth, async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    if (!range) {
+      return res.status(400).json({ msg: 'Dates must use the YYYY-MM-DD format' });
+    }
+
+    res.json(await getSummary(range));
+  } catch (err) {
+    console.error('Error fetching sales summary:', err);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/analytics/sales
+// @desc    Sales per day, week or month (?period=day|week|month)
+// @access  Private (admin only)
+router.get('/sales', auth, async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    if (!range) {
+      return res.status(400).json({ msg: 'Dates must use the YYYY-MM-DD format' });
+    }
+
+    const period = req.query.period || 'day';
+    if (!PERIODS[period]) {
+      return res.status(400).json({ msg: 'Invalid period', allowed: Object.keys(PERIODS) });
+    }
+
+    res.json({ period, sales: await getSalesOverTime(range, period) });
+  } catch (err) {
+    console.error('Error fetching sales over time:', err);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/analytics/breakdown
+// @desc    Orders and revenue by order source and by status
+// @access  Private (admin only)
+router.get('/breakdown', auth, async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    if (!range) {
+      return res.status(400).json({ msg: 'Dates must use the YYYY-MM-DD format' });
+    }
+
+    res.json(await getBreakdown(range));
+  } catch (err) {
+    console.error('Error fetching sales breakdown:', err);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/analytics/top-products
+// @desc    Best selling products (?sort=quantity|revenue&limit=10)
+// @access  Private (admin only)
+router.get('/top-products', auth, async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    if (!range) {
+      return res.status(400).json({ msg: 'Dates must use the YYYY-MM-DD format' });
+    }
+
+    const options = parseTopOptions(req.query);
+    if (!options) {
+      return res.status(400).json({ msg: 'Invalid sort', allowed: Object.keys(TOP_SORTS) });
+    }
+
+    res.json(await getTopProducts(range, options));
+  } catch (err) {
+    console.error('Error fetching top products:', err);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/analytics/top-variants
+// @desc    Best selling variants (?sort=quantity|revenue&limit=10)
+// @access  Private (admin only)
+router.get('/top-variants', auth, async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    if (!range) {
+      return res.status(400).json({ msg: 'Dates must use the YYYY-MM-DD format' });
+    }
+
+    const options = parseTopOptions(req.query);
+    if (!options) {
+      return res.status(400).json({ msg: 'Invalid sort', allowed: Object.keys(TOP_SORTS) });
+    }
+
+    res.json(await getTopVariants(range, options));
+  } catch (err) {
+    console.error('Error fetching top variants:', err);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/analytics/top-colors
+// @desc    Best selling colors (?sort=quantity|revenue&limit=10)
+// @access  Private (admin only)
+router.get('/top-colors', auth, async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    if (!range) {
+      return res.status(400).json({ msg: 'Dates must use the YYYY-MM-DD format' });
+    }
+
+    const options = parseTopOptions(req.query);
+    if (!options) {
+      return res.status(400).json({ msg: 'Invalid sort', allowed: Object.keys(TOP_SORTS) });
+    }
+
+    res.json(await getTopColors(range, options));
+  } catch (err) {
+    console.error('Error fetching top colors:', err);
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
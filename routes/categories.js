@@ -0,0 +1,235 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/db');
+const auth = require('../middleware/auth');
+const { uploadTemp } = require('../middleware/upload');
+const imgbbService = require('../services/imgbb');
+const {
+  slugify,
+  loadCategories,
+  buildCategoryTree,
+  flattenCategoryTree,
+  findCategory,
+  createsCycle
+} = require('../services/categoryService');
+const fs = require('fs');
+
+// Read the category fields of a create or update form; missing fields keep the current values
+function readCategoryFields(body, categories, current = {}) {
+  const name_fr = body.name_fr !== undefined ? String(body.name_fr).trim() : current.name_fr;
+  const name_ar = body.name_ar !== undefined ? String(body.name_ar).trim() : current.name_ar;
+
+  if (!name_fr || !name_ar) {
+    return { error: 'French and Arabic names are required' };
+  }
+
+  const slug = body.slug !== undefined && String(body.slug).trim() !== ''
+    ? slugify(body.slug)
+    : current.slug || slugify(name_fr);
+
+  if (!slug) {
+    return { error: 'Please give a slug with latin letters or digits' };
+  }
+
+  if (categories.some(category => category.slug === slug && category.id !== current.id)) {
+    return { error: `The slug "${slug}" is already used` };
+  }
+
+  let parent_id = current.parent_id || null;
+  if (body.parent_id !== undefined) {
+    const parent = body.parent_id === '' || body.parent_id === null || body.parent_id === 'null'
+      ? null
+      : findCategory(categories, body.parent_id);
+
+    if (parent === undefined) {
+      return { error: 'Parent category not found' };
+    }
+
+    parent_id = parent ? parent.id : null;
+
+    if (parent_id && current.id && createsCycle(categories, current.id, parent_id)) {
+      return { error: 'A category cannot be moved under itself or one of its subcategories' };
+    }
+  }
+
+  const sort_order = body.sort_order !== undefined ? parseInt(body.sort_order) : current.sort_order || 0;
+  if (!Number.isInteger(sort_order)) {
+    return { error: 'Sort order must be a whole number' };
+  }
+
+  const active = body.active !== undefined
+    ? body.active === 'true' || body.active === true
+    : current.active !== undefined ? Boolean(current.active) : true;
+
+  return { fields: { name_fr, name_ar, slug, parent_id, sort_order, active } };
+}
+
+// @route   GET api/categories
+// @desc    Get active categories as a tree (?flat=true for a flat list)
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    // Subcategories of an inactive category are hidden with it
+    const tree = buildCategoryTree((await loadCategories()).filter(category => category.active));
+
+    res.json(req.query.flat === 'true' ? flattenCategoryTree(tree) : tree);
+  } catch (err) {
+    console.error('Error fetching categories:', err);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/categories/all
+// @desc    Get all categories (including inactive) as a flat list
+// @access  Private
+router.get('/all', auth, async (req, res) => {
+  try {
+    res.json(await loadCategories());
+  } catch (err) {
+    console.error('Error fetching categories:', err);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/categories/:idOrSlug
+// @desc    Get a category with its subcategories
+// @access  Public
+router.get('/:idOrSlug', async (req, res) => {
+  try {
+    const categories = await loadCategories();
+    const category = findCategory(categories, req.params.idOrSlug);
+
+    if (!category) {
+      return res.status(404).json({ msg: 'Category not found' });
+    }
+
+    res.json({
+      ...category,
+      children: buildCategoryTree(categories, category.id)
+    });
+  } catch (err) {
+    console.error('Error fetching category:', err);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/categories
+// @desc    Create a category (multipart, optional image)
+// @access  Private
+router.post('/', auth, uploadTemp.single('image'), async (req, res) => {
+  try {
+    const categories = await loadCategories();
+    const { fields, error } = readCategoryFields(req.body, categories);
+
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+
+    // Upload to ImgBB
+    const image = req.file ? await imgbbService.uploadImage(req.file.path) : null;
+
+    const [result] = await db.query(
+      'INSERT INTO categories (name_fr, name_ar, slug, parent_id, sort_order, active, image) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [fields.name_fr, fields.name_ar, fields.slug, fields.parent_id, fields.sort_order, fields.active, image]
+    );
+
+    const [rows] = await db.query('SELECT * FROM categories WHERE id = ?', [result.insertId]);
+
+    res.status(201).json(rows[0]);
+  } catch (err) {
+    console.error('Error creating category:', err);
+    res.status(500).send('Server error');
+  } finally {
+    // Delete the temporary file
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+  }
+});
+
+// @route   PUT api/categories/:id
+// @desc    Update a category (multipart, optional new image)
+// @access  Private
+router.put('/:id', auth, uploadTemp.single('image'), async (req, res) => {
+  const connection = await db.getConnection();
+
+  try {
+    const categories = await loadCategories(connection);
+    const category = categories.find(item => String(item.id) === req.params.id);
+
+    if (!category) {
+      return res.status(404).json({ msg: 'Category not found' });
+    }
+
+    const { fields, error } = readCategoryFields(req.body, categories, category);
+
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+
+    // Keep the old image unless a new one is uploaded
+    const image = req.file ? await imgbbService.uploadImage(req.file.path) : category.image;
+
+    await connection.beginTransaction();
+
+    await connection.query(
+      'UPDATE categories SET name_fr = ?, name_ar = ?, slug = ?, parent_id = ?, sort_order = ?, active = ?, image = ? WHERE id = ?',
+      [fields.name_fr, fields.name_ar, fields.slug, fields.parent_id, fields.sort_order, fields.active, image, category.id]
+    );
+
+    // Products keep the category slug in their legacy text column
+    if (fields.slug !== category.slug) {
+      await connection.query('UPDATE products SET category = ? WHERE category_id = ?', [fields.slug, category.id]);
+    }
+
+    await connection.commit();
+
+    const [rows] = await connection.query('SELECT * FROM categories WHERE id = ?', [category.id]);
+
+    res.json(rows[0]);
+  } catch (err) {
+    await connection.rollback();
+    console.error('Error updating category:', err);
+    res.status(500).send('Server error');
+  } finally {
+    connection.release();
+
+    // Delete the temporary file
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+  }
+});
+
+// @route   DELETE api/categories/:id
+// @desc    Delete a category that has no subcategories and no products
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const categories = await loadCategories();
+    const category = categories.find(item => String(item.id) === req.params.id);
+
+    if (!category) {
+      return res.status(404).json({ msg: 'Category not found' });
+    }
+
+    const children = categories.filter(item => item.parent_id === category.id).length;
+
+    if (children > 0 || category.product_count > 0) {
+      return res.status(409).json({
+        msg: 'Move the subcategories and products of this category first',
+        subcategories: children,
+        products: category.product_count
+      });
+    }
+
+    await db.query('DELETE FROM categories WHERE id = ?', [category.id]);
+
+    res.json({ msg: 'Category removed' });
+  } catch (err) {
+    console.error('Error deleting category:', err);
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
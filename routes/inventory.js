@@ -0,0 +1,247 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../config/db');
+const auth = require('../middleware/auth');
+const { notifyLowStockLevels } = require('../services/notificationService');
+const {
+  LOW_STOCK_THRESHOLD,
+  adjustStock,
+  getLowStockItems,
+  parseThreshold,
+  getMovements,
+  reconcileStock,
+  getLedgerMismatches
+} = require('../services/inventoryService');
+
+// Read ?productId=&variantId= identifying a stock record, or null when missing.
+// Variants kept the IDs of the colors they replace, so colorId is still accepted.
+function parseStockRecord(source) {
+  const productId = parseInt(source.productId);
+  const rawVariantId = source.variantId || source.colorId;
+  const variantId = rawVariantId ? parseInt(rawVariantId) : null;
+
+  if (!Number.isInteger(productId) || (rawVariantId && !Number.isInteger(variantId))) {
+    return null;
+  }
+
+  return { productId, variantId };
+}
+
+// @route   GET api/inventory/low-stock
+// @desc    Products and variants at or below their low-stock threshold
+// @access  Private (admin only)
+router.get('/low-stock', auth, async (req, res) => {
+  try {
+    const items = await getLowStockItems(db);
+
+    res.json({
+      defaultThreshold: LOW_STOCK_THRESHOLD,
+      outOfStock: items.filter(item => item.stock <= 0).length,
+      items
+    });
+  } catch (err) {
+    console.error('Error fetching low stock items:', err);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/inventory/products/:id/threshold
+// @desc    Set the low-stock threshold of a product (null to use the default)
+// @access  Private (admin only)
+router.put('/products/:id/threshold', auth, async (req, res) => {
+  try {
+    const threshold = parseThreshold(req.body.threshold);
+    if (threshold === undefined) {
+      return res.status(400).json({ msg: 'Threshold must be a whole number of 0 or more' });
+    }
+
+    const [result] = await db.query(
+      'UPDATE products SET low_stock_threshold = ? WHERE id = ?',
+      [threshold, req.params.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ msg: 'Product not found' });
+    }
+
+    res.json({ productId: parseInt(req.params.id), threshold });
+  } catch (err) {
+    console.error('Error updating product threshold:', err);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   PUT api/inventory/variants/:id/threshold
+// @desc    Set the low-stock threshold of a variant (null to use the product's).
+//          Also answers on /colors/:id/threshold for older admin clients.
+// @access  Private (admin only)
+router.put(['/variants/:id/threshold', '/colors/:id/threshold'], auth, async (req, res) => {
+  try {
+    const threshold = parseThreshold(req.body.threshold);
+    if (threshold === undefined) {
+      return res.status(400).json({ msg: 'Threshold must be a whole number of 0 or more' });
+    }
+
+    const [result] = await db.query(
+      'UPDATE product_variants SET low_stock_threshold = ? WHERE id = ?',
+      [threshold, req.params.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ msg: 'Variant not found' });
+    }
+
+    res.json({ variantId: parseInt(req.params.id), threshold });
+  } catch (err) {
+    console.error('Error updating variant threshold:', err);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/inventory/adjustments
+// @desc    Change the stock of a product or variant by hand.
+//          Send quantity (signed change) or countedStock (result of a physical count).
+// @access  Private (admin only)
+router.post('/adjustments', auth, async (req, res) => {
+  const record = parseStockRecord(req.body);
+  const { type = 'adjustment', reason } = req.body;
+
+  if (!record) {
+    return res.status(400).json({ msg: 'A product is required' });
+  }
+
+  if (!['adjustment', 'restock'].includes(type)) {
+    return res.status(400).json({ msg: 'Invalid adjustment type', allowed: ['adjustment', 'restock'] });
+  }
+
+  if (!reason || !String(reason).trim()) {
+    return res.status(400).json({ msg: 'A reason is required' });
+  }
+
+  const hasCount = req.body.countedStock !== undefined;
+  const quantity = parseInt(req.body.quantity);
+  const countedStock = parseInt(req.body.countedStock);
+
+  if (hasCount ? !Number.isInteger(countedStock) || countedStock < 0 : !Number.isInteger(quantity) || quantity === 0) {
+    return res.status(400).json({ msg: 'Send a non-zero quantity or a counted stock of 0 or more' });
+  }
+
+  if (type === 'restock' && (hasCount || quantity < 0)) {
+    return res.status(400).json({ msg: 'A restock must add a positive quantity' });
+  }
+
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const result = await adjustStock(connection, {
+      ...record,
+      quantity,
+      countedStock: hasCount ? countedStock : undefined,
+      type,
+      reason: String(reason).trim(),
+      admin: req.admin
+    });
+
+    if (result.error === 'not_found') {
+      await connection.rollback();
+      return res.status(404).json({ msg: 'Product or variant not found' });
+    }
+
+    if (result.error === 'insufficient_stock') {
+      await connection.rollback();
+      return res.status(409).json({ msg: 'Stock cannot go below zero', stock: result.stock });
+    }
+
+    await connection.commit();
+
+    if (result.lowStock) {
+      await notifyLowStockLevels(req.app.get('io'), req.app.get('adminSockets'), [{
+        ...record,
+        stock: result.stock,
+        threshold: result.threshold
+      }]);
+    }
+
+    res.status(result.quantity !== 0 ? 201 : 200).json({
+      ...record,
+      quantity: result.quantity,
+      stock: result.stock,
+      changed: result.quantity !== 0
+    });
+  } catch (err) {
+    await connection.rollback();
+    console.error('Error adjusting stock:', err);
+    res.status(500).send('Server error');
+  } finally {
+    connection.release();
+  }
+});
+
+// @route   GET api/inventory/movements
+// @desc    Stock movements of a product or variant (?productId=&variantId=&page=&limit=)
+// @access  Private (admin only)
+router.get('/movements', auth, async (req, res) => {
+  try {
+    const record = parseStockRecord(req.query);
+    if (!record) {
+      return res.status(400).json({ msg: 'A product is required' });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const { movements, total } = await getMovements(db, record, { limit, offset: (page - 1) * limit });
+    const reconciliation = await reconcileStock(db, record);
+
+    if (!reconciliation && total === 0) {
+      return res.status(404).json({ msg: 'Product or variant not found' });
+    }
+
+    res.json({
+      ...record,
+      reconciliation,
+      movements,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching stock movements:', err);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/inventory/reconcile
+// @desc    Compare stock with the ledger for one record (?productId=&variantId=),
+//          or list every record that does not match
+// @access  Private (admin only)
+router.get('/reconcile', auth, async (req, res) => {
+  try {
+    if (req.query.productId === undefined) {
+      const mismatches = await getLedgerMismatches(db);
+      return res.json({ mismatches });
+    }
+
+    const record = parseStockRecord(req.query);
+    if (!record) {
+      return res.status(400).json({ msg: 'Invalid product or variant' });
+    }
+
+    const reconciliation = await reconcileStock(db, record);
+    if (!reconciliation) {
+      return res.status(404).json({ msg: 'Product or variant not found' });
+    }
+
+    res.json(reconciliation);
+  } catch (err) {
+    console.error('Error reconciling stock:', err);
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
@@ -2,8 +2,35 @@ const express = require('express');
 const router = express.Router();
 const db = require('../config/db');
 const auth = require('../middleware/auth');
-const { uploadTemp } = require('../middleware/upload');
+const exportAuth = require('../middleware/exportAuth');
+const { uploadTemp, uploadSpreadsheet } = require('../middleware/upload');
 const imgbbService = require('../services/imgbb');
+const { parseThreshold, recordMovement, adjustStock } = require('../services/inventoryService');
+const {
+  loadOptionTypes,
+  parseVariants,
+  saveProductVariants,
+  getProductVariants,
+  toLegacyColors
+} = require('../services/productVariants');
+const {
+  readCatalogFile,
+  validateCatalogRows,
+  importCatalog,
+  fetchCatalogRows,
+  renderCatalogExcel,
+  renderCatalogCsv
+} = require('../services/catalogSpreadsheet');
+const { searchProducts, refreshSearchFields } = require('../services/productSearch');
+const {
+  LISTING_SORTS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parseListingFilters,
+  listProducts
+} = require('../services/productListing');
+const { logSearchQuery, getSuggestions } = require('../services/searchSuggestions');
+const { loadCategories, findCategory, getDescendantIds } = require('../services/categoryService');
 const fs = require('fs');
 const path = require('path');
 
@@ -14,91 +41,96 @@ const logRequestMiddleware = (req, res, next) => {
   next();
 };
 
+// Read the filters, sort and page shared by the product lists
+function parseListingOptions(query, defaultSort, sorts = Object.keys(LISTING_SORTS)) {
+  const { filters, error } = parseListingFilters(query);
+  if (error) {
+    return { error: { msg: error } };
+  }
+  
+  const sort = query.sort || defaultSort;
+  if (!sorts.includes(sort)) {
+    return { error: { msg: 'Invalid sort', allowed: sorts } };
+  }
+  
+  return {
+    options: {
+      filters,
+      sort,
+      page: Math.max(parseInt(query.page) || 1, 1),
+      limit: Math.min(Math.max(parseInt(query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE)
+    }
+  };
+}
+
 // @route   GET api/products/search
-// @desc    Search products by name
+// @desc    Search products in French and Arabic, ranked by relevance
+//          (?q=&sort=relevance|newest|price_asc|...) with the listing filters
 // @access  Public
 router.get('/search', async (req, res) => {
   try {
     const query = req.query.q;
-    const sort = req.query.sort || 'newest';
     
-    if (!query || query.trim() === '') {
-      return res.json([]);
+    const { options, error } = parseListingOptions(req.query, 'relevance', ['relevance', ...Object.keys(LISTING_SORTS)]);
+    if (error) {
+      return res.status(400).json(error);
     }
     
-    // Create search pattern
-    const searchPattern = `%${query}%`;
-    
-    // Determine sorting
-    let orderBy;
-    switch (sort) {
-      case 'price_asc':
-        orderBy = 'ORDER BY price ASC';
-        break;
-      case 'price_desc':
-        orderBy = 'ORDER BY price DESC';
-        break;
-      case 'discount':
-        orderBy = 'ORDER BY discount DESC';
-        break;
-      case 'name_asc':
-        orderBy = 'ORDER BY name_fr ASC';
-        break;
-      case 'name_desc':
-        orderBy = 'ORDER BY name_fr DESC';
-        break;
-      default:
-        // newest
-        orderBy = 'ORDER BY created_at DESC';
+    if (!query || query.trim() === '') {
+      return res.json({
+        products: [],
+        pagination: { page: options.page, limit: options.limit, total: 0, totalPages: 0 },
+        facets: null,
+        correctedQuery: null
+      });
     }
     
-    // Search by name_fr, name_ar, or description
-    const [products] = await db.query(
-      `SELECT * FROM products 
-       WHERE name_fr LIKE ? OR name_ar LIKE ? OR desc_fr LIKE ? OR desc_ar LIKE ? 
-       ${orderBy}`,
-      [searchPattern, searchPattern, searchPattern, searchPattern]
-    );
+    const { products, pagination, facets, correctedQuery } = await searchProducts(query, options);
     
-    res.json(products);
+    // Feeds the popular queries of the autocomplete; not awaited
+    logSearchQuery(query, pagination.total);
+    
+    res.json({ products, pagination, facets, correctedQuery });
   } catch (err) {
     console.error('Error searching products:', err);
     res.status(500).send('Server error');
   }
 });
 
+// @route   GET api/products/suggest
+// @desc    Autocomplete for the search box: product names, categories and
+//          popular searches (?q=&lang=fr|ar&limit=5)
+// @access  Public
+router.get('/suggest', async (req, res) => {
+  try {
+    const lang = req.query.lang || 'fr';
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 10);
+    
+    if (!['fr', 'ar'].includes(lang)) {
+      return res.status(400).json({ msg: 'Invalid language', allowed: ['fr', 'ar'] });
+    }
+    
+    const suggestions = await getSuggestions(req.query.q || '', { lang, limit });
+    
+    res.setHeader('Cache-Control', 'public, max-age=60');
+    res.json(suggestions);
+  } catch (err) {
+    console.error('Error fetching search suggestions:', err);
+    res.status(500).send('Server error');
+  }
+});
+
 // @route   GET api/products
-// @desc    Get all products
+// @desc    Get all products (filters, facets and pagination, see parseListingFilters)
 // @access  Public
 router.get('/', async (req, res) => {
   try {
-    const sort = req.query.sort || 'newest';
-    
-    // Determine sorting
-    let orderBy;
-    switch (sort) {
-      case 'price_asc':
-        orderBy = 'ORDER BY price ASC';
-        break;
-      case 'price_desc':
-        orderBy = 'ORDER BY price DESC';
-        break;
-      case 'discount':
-        orderBy = 'ORDER BY discount DESC';
-        break;
-      case 'name_asc':
-        orderBy = 'ORDER BY name_fr ASC';
-        break;
-      case 'name_desc':
-        orderBy = 'ORDER BY name_fr DESC';
-        break;
-      default:
-        // newest
-        orderBy = 'ORDER BY created_at DESC';
+    const { options, error } = parseListingOptions(req.query, 'newest');
+    if (error) {
+      return res.status(400).json(error);
     }
     
-    const [products] = await db.query(`SELECT * FROM products ${orderBy}`);
-    res.json(products);
+    res.json(await listProducts(options));
   } catch (err) {
     console.error('Error fetching products:', err);
     res.status(500).send('Server error');
@@ -110,35 +142,15 @@ router.get('/', async (req, res) => {
 // @access  Public
 router.get('/discounted', async (req, res) => {
   try {
-    const sort = req.query.sort || 'discount';
-    
-    // Determine sorting
-    let orderBy;
-    switch (sort) {
-      case 'price_asc':
-        orderBy = 'ORDER BY price ASC';
-        break;
-      case 'price_desc':
-        orderBy = 'ORDER BY price DESC';
-        break;
-      case 'name_asc':
-        orderBy = 'ORDER BY name_fr ASC';
-        break;
-      case 'name_desc':
-        orderBy = 'ORDER BY name_fr DESC';
-        break;
-      case 'newest':
-        orderBy = 'ORDER BY created_at DESC';
-        break;
-      default:
-        // highest discount
-        orderBy = 'ORDER BY discount DESC';
+    const { options, error } = parseListingOptions(req.query, 'discount');
+    if (error) {
+      return res.status(400).json(error);
     }
     
-    const [products] = await db.query(
-      `SELECT * FROM products WHERE discount > 0 ${orderBy}`
-    );
-    res.json(products);
+    res.json(await listProducts({
+      ...options,
+      scope: { conditions: ['p.discount > 0'], params: [] }
+    }));
   } catch (err) {
     console.error('Error fetching discounted products:', err);
     res.status(500).send('Server error');
@@ -146,46 +158,142 @@ router.get('/discounted', async (req, res) => {
 });
 
 // @route   GET api/products/category/:category
-// @desc    Get products by category
+// @desc    Get products of a category (ID or slug) and its subcategories
 // @access  Public
 router.get('/category/:category', async (req, res) => {
   try {
-    const sort = req.query.sort || 'newest';
-    
-    // Determine sorting
-    let orderBy;
-    switch (sort) {
-      case 'price_asc':
-        orderBy = 'ORDER BY price ASC';
-        break;
-      case 'price_desc':
-        orderBy = 'ORDER BY price DESC';
-        break;
-      case 'discount':
-        orderBy = 'ORDER BY discount DESC';
-        break;
-      case 'name_asc':
-        orderBy = 'ORDER BY name_fr ASC';
-        break;
-      case 'name_desc':
-        orderBy = 'ORDER BY name_fr DESC';
-        break;
-      default:
-        // newest
-        orderBy = 'ORDER BY created_at DESC';
+    const { options, error } = parseListingOptions(req.query, 'newest');
+    if (error) {
+      return res.status(400).json(error);
     }
     
-    const [products] = await db.query(
-      `SELECT * FROM products WHERE category = ? ${orderBy}`,
-      [req.params.category]
-    );
-    res.json(products);
+    const categories = await loadCategories();
+    const category = findCategory(categories, req.params.category);
+    
+    if (!category) {
+      return res.status(404).json({ msg: 'Category not found' });
+    }
+    
+    // Products of the subcategories are listed with their parent
+    const ids = getDescendantIds(categories, category.id);
+    
+    res.json({
+      category,
+      ...await listProducts({
+        ...options,
+        scope: { conditions: [`p.category_id IN (${ids.map(() => '?').join(', ')})`], params: ids }
+      })
+    });
   } catch (err) {
     console.error('Error fetching category products:', err);
     res.status(500).send('Server error');
   }
 });
 
+// @route   GET api/products/export
+// @desc    Export the catalog as a spreadsheet that can be edited and imported back (?format=xlsx|csv)
+// @access  Private (admin only) - token in x-auth-token header or ?token=
+router.get('/export', exportAuth, async (req, res) => {
+  try {
+    const fileFormat = req.query.format || 'xlsx';
+    
+    if (!['xlsx', 'csv'].includes(fileFormat)) {
+      return res.status(400).json({ msg: 'Invalid export format' });
+    }
+    
+    const rows = await fetchCatalogRows(db);
+    const date = new Date().toISOString().slice(0, 10);
+    
+    res.setHeader('Content-Type', fileFormat === 'csv'
+      ? 'text/csv; charset=utf-8'
+      : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="catalogue_${date}.${fileFormat}"`);
+    
+    if (fileFormat === 'csv') {
+      await renderCatalogCsv(rows, res);
+    } else {
+      await renderCatalogExcel(rows, res);
+    }
+  } catch (err) {
+    console.error('Error exporting catalog:', err);
+    
+    if (res.headersSent) {
+      return res.end();
+    }
+    
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/products/import
+// @desc    Create and update products from an .xlsx or .csv file (field "file").
+//          With dryRun=true only the validation report is returned.
+// @access  Private (admin only)
+router.post('/import', auth, uploadSpreadsheet.single('file'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ msg: 'Please upload an .xlsx or .csv file' });
+  }
+  
+  const dryRun = String(req.query.dryRun || req.body.dryRun) === 'true';
+  const connection = await db.getConnection();
+  
+  try {
+    const rows = await readCatalogFile(req.file.path, req.file.originalname);
+    
+    if (rows.length === 0) {
+      return res.status(400).json({ msg: 'The file has no product rows' });
+    }
+    
+    const { products, errors } = await validateCatalogRows(connection, rows);
+    const report = {
+      dryRun,
+      rows: rows.length,
+      products: products.length,
+      toCreate: products.filter(product => !product.id).length,
+      toUpdate: products.filter(product => product.id).length,
+      variants: products.reduce((sum, product) => sum + product.variants.length, 0),
+      errors
+    };
+    
+    // Nothing is imported unless every row is valid
+    if (errors.length > 0) {
+      return res.status(dryRun ? 200 : 400).json({ ...report, valid: false });
+    }
+    
+    if (dryRun) {
+      return res.json({ ...report, valid: true });
+    }
+    
+    await connection.beginTransaction();
+    const summary = await importCatalog(connection, products, req.admin);
+    await connection.commit();
+    
+    res.status(201).json({ ...report, valid: true, ...summary });
+  } catch (err) {
+    await connection.rollback();
+    console.error('Error importing catalog:', err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  } finally {
+    connection.release();
+    
+    if (fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+  }
+});
+
+// @route   GET api/products/option-types
+// @desc    Get the option types variants can combine (color, size, volume...)
+// @access  Public
+router.get('/option-types', async (req, res) => {
+  try {
+    res.json(await loadOptionTypes(db));
+  } catch (err) {
+    console.error('Error fetching option types:', err);
+    res.status(500).send('Server error');
+  }
+});
+
 // @route   GET api/products/:id
 // @desc    Get product by ID
 // @access  Public
@@ -204,13 +312,24 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// @route   GET api/products/:id/variants
+// @desc    Get variants for a product, with their option values
+// @access  Public
+router.get('/:id/variants', async (req, res) => {
+  try {
+    res.json(await getProductVariants(db, req.params.id));
+  } catch (err) {
+    console.error('Error fetching product variants:', err);
+    res.status(500).send('Server error');
+  }
+});
+
 // @route   GET api/products/:id/colors
-// @desc    Get colors for a product
+// @desc    Get colors for a product (color variants, for older clients)
 // @access  Public
 router.get('/:id/colors', async (req, res) => {
   try {
-    const [rows] = await db.query('SELECT * FROM product_colors WHERE product_id = ?', [req.params.id]);
-    res.json(rows);
+    res.json(toLegacyColors(await getProductVariants(db, req.params.id)));
   } catch (err) {
     console.error('Error fetching product colors:', err);
     res.status(500).send('Server error');
@@ -233,6 +352,30 @@ const handleProductSave = async (req, res, isUpdate = false) => {
     const parsedDiscount = parseFloat(discount) || 0;
     const parsedStock = parseInt(stock) || 0;
     
+    // Stock left out of the request keeps the current count
+    const stockSent = stock !== undefined;
+    
+    // Low-stock threshold; empty uses the default, absent keeps the current one
+    const thresholdSent = req.body.low_stock_threshold !== undefined;
+    const lowStockThreshold = parseThreshold(req.body.low_stock_threshold);
+    if (lowStockThreshold === undefined) {
+      await connection.rollback();
+      return res.status(400).json({ msg: 'Low stock threshold must be a whole number of 0 or more' });
+    }
+    
+    // Category by ID or slug; unknown values are refused so typos do not create new categories
+    const categoryValue = req.body.category_id || category;
+    let productCategory = null;
+    
+    if (categoryValue) {
+      productCategory = findCategory(await loadCategories(connection), categoryValue);
+      
+      if (!productCategory) {
+        await connection.rollback();
+        return res.status(400).json({ msg: 'Category not found' });
+      }
+    }
+    
     // Handle image
     let image = null;
     
@@ -247,9 +390,10 @@ const handleProductSave = async (req, res, isUpdate = false) => {
     }
     
     if (isUpdate) {
-      // Get existing product for image handling
-      const [product] = await connection.query('SELECT * FROM products WHERE id = ?', [req.params.id]);
+      // Get existing product for image handling, locked so orders cannot move its stock meanwhile
+      const [product] = await connection.query('SELECT * FROM products WHERE id = ? FOR UPDATE', [req.params.id]);
       if (product.length === 0) {
+        await connection.rollback();
         return res.status(404).json({ msg: 'Product not found' });
       }
       
@@ -260,11 +404,29 @@ const handleProductSave = async (req, res, isUpdate = false) => {
       
       // Update product
       await connection.query(
-        'UPDATE products SET name_fr = ?, name_ar = ?, desc_fr = ?, desc_ar = ?, price = ?, discount = ?, category = ?, image = ?, stock = ? WHERE id = ?',
-        [name_fr, name_ar, desc_fr || '', desc_ar || '', parsedPrice, parsedDiscount, category, image, parsedStock, req.params.id]
+        'UPDATE products SET name_fr = ?, name_ar = ?, desc_fr = ?, desc_ar = ?, price = ?, discount = ?, category = ?, category_id = ?, image = ?, low_stock_threshold = ? WHERE id = ?',
+        [name_fr, name_ar, desc_fr || '', desc_ar || '', parsedPrice, parsedDiscount,
+          productCategory ? productCategory.slug : null, productCategory ? productCategory.id : null, image,
+          thresholdSent ? lowStockThreshold : product[0].low_stock_threshold, req.params.id]
       );
       
       productId = req.params.id;
+      
+      // The form sends the full stock count; adjustStock writes it with its ledger movement
+      if (stockSent) {
+        const result = await adjustStock(connection, {
+          productId,
+          countedStock: parsedStock,
+          type: 'product_edit',
+          reason: 'Stock changed in the product form',
+          admin: req.admin
+        });
+        
+        if (result.error === 'insufficient_stock') {
+          await connection.rollback();
+          return res.status(400).json({ msg: 'Stock cannot be negative' });
+        }
+      }
     } else {
       // Create new product
       if (!image) {
@@ -272,80 +434,72 @@ const handleProductSave = async (req, res, isUpdate = false) => {
       }
       
       const [result] = await connection.query(
-        'INSERT INTO products (name_fr, name_ar, desc_fr, desc_ar, price, discount, category, image, stock) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
-        [name_fr, name_ar, desc_fr || '', desc_ar || '', parsedPrice, parsedDiscount, category, image, parsedStock]
+        'INSERT INTO products (name_fr, name_ar, desc_fr, desc_ar, price, discount, category, category_id, image, stock, low_stock_threshold) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+        [name_fr, name_ar, desc_fr || '', desc_ar || '', parsedPrice, parsedDiscount,
+          productCategory ? productCategory.slug : null, productCategory ? productCategory.id : null, image, parsedStock, lowStockThreshold]
       );
       
       productId = result.insertId;
+      
+      await recordMovement(connection, {
+        productId,
+        quantity: parsedStock,
+        stockAfter: parsedStock,
+        type: 'opening',
+        reason: 'Product created',
+        admin: req.admin
+      });
     }
     
-    // Handle colors if provided
-    if (req.body.colors) {
-      const colors = JSON.parse(req.body.colors);
+    // Handle variants if provided; older admin clients still send colors
+    if (req.body.variants || req.body.colors) {
+      const { variants, error } = parseVariants(req.body);
       
-      // If updating, delete removed colors
-      if (isUpdate) {
-        const existingColorIds = colors
-          .filter(c => !c.isNew && c.id)
-          .map(c => c.id);
-        
-        if (existingColorIds.length > 0) {
-          await connection.query(
-            `DELETE FROM product_colors WHERE product_id = ? AND id NOT IN (${existingColorIds.join(',')})`,
-            [productId]
-          );
-        } else {
-          // If no existing colors were kept, delete all
-          await connection.query('DELETE FROM product_colors WHERE product_id = ?', [productId]);
-        }
+      if (error) {
+        await connection.rollback();
+        return res.status(400).json({ msg: error });
       }
       
-      // Process each color
-      for (let i = 0; i < colors.length; i++) {
-        const color = colors[i];
-        
-        // Check if there's a new image for this color
-        let colorImage = color.image;
-        const colorIndex = Object.keys(req.files || {})
-          .filter(key => key.startsWith('colorImage_'))
-          .map(key => parseInt(key.split('_')[1]))
-          .find(idx => idx === i);
+      for (const variant of variants) {
+        // Check if there's a new image for this variant
+        const upload = req.files && req.files[variant.imageField];
         
-        if (colorIndex !== undefined && req.files[`colorImage_${colorIndex}`]) {
-          // Upload color image to ImgBB
-          colorImage = await imgbbService.uploadImage(req.files[`colorImage_${colorIndex}`][0].path);
+        if (upload) {
+          // Upload variant image to ImgBB
+          variant.image = await imgbbService.uploadImage(upload[0].path);
+          variant.imageSent = true;
           
           // Delete temp file
-          if (fs.existsSync(req.files[`colorImage_${colorIndex}`][0].path)) {
-            fs.unlinkSync(req.files[`colorImage_${colorIndex}`][0].path);
+          if (fs.existsSync(upload[0].path)) {
+            fs.unlinkSync(upload[0].path);
           }
         }
-        
-        if (color.isNew || !color.id || color.id.toString().startsWith('temp-')) {
-          // Insert new color
-          await connection.query(
-            'INSERT INTO product_colors (product_id, name_fr, name_ar, hex_code, stock, image) VALUES (?, ?, ?, ?, ?, ?)',
-            [productId, color.name_fr, color.name_ar, color.hex_code, color.stock || 0, colorImage]
-          );
-        } else {
-          // Update existing color
-          await connection.query(
-            'UPDATE product_colors SET name_fr = ?, name_ar = ?, hex_code = ?, stock = ?, image = ? WHERE id = ? AND product_id = ?',
-            [color.name_fr, color.name_ar, color.hex_code, color.stock || 0, colorImage, color.id, productId]
-          );
-        }
+      }
+      
+      const saved = await saveProductVariants(connection, productId, variants, {
+        removeMissing: isUpdate,
+        admin: req.admin
+      });
+      
+      if (saved.msg) {
+        await connection.rollback();
+        const { status, ...body } = saved;
+        return res.status(status).json(body);
       }
     }
     
+    await refreshSearchFields(connection, productId);
+    
     await connection.commit();
     
-    // Get updated product with its colors
+    // Get updated product with its variants
     const [product] = await connection.query('SELECT * FROM products WHERE id = ?', [productId]);
-    const [colors] = await connection.query('SELECT * FROM product_colors WHERE product_id = ?', [productId]);
+    const variants = await getProductVariants(connection, productId);
     
     res.json({
       ...product[0],
-      colors
+      variants,
+      colors: toLegacyColors(variants)
     });
     
   } catch (err) {
@@ -373,6 +527,7 @@ const handleProductSave = async (req, res, isUpdate = false) => {
 // @access  Private (admin only)
 router.post('/', auth, uploadTemp.fields([
   { name: 'image', maxCount: 1 },
+  ...Array(20).fill().map((_, i) => ({ name: `variantImage_${i}`, maxCount: 1 })),
   ...Array(20).fill().map((_, i) => ({ name: `colorImage_${i}`, maxCount: 1 }))
 ]), async (req, res) => {
   try {
@@ -399,6 +554,7 @@ router.post('/', auth, uploadTemp.fields([
 // @access  Private (admin only)
 router.put('/:id', auth, uploadTemp.fields([
   { name: 'image', maxCount: 1 },
+  ...Array(20).fill().map((_, i) => ({ name: `variantImage_${i}`, maxCount: 1 })),
   ...Array(20).fill().map((_, i) => ({ name: `colorImage_${i}`, maxCount: 1 }))
 ]), async (req, res) => {
   try {
@@ -432,7 +588,8 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(404).json({ msg: 'Product not found' });
     }
     
-    // Delete product from database
+    // Delete product and its variants (their options follow) from database
+    await db.query('DELETE FROM product_variants WHERE product_id = ?', [req.params.id]);
     await db.query('DELETE FROM products WHERE id = ?', [req.params.id]);
     
     res.json({ msg: 'Product removed' });
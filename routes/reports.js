@@ -0,0 +1,85 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const exportAuth = require('../middleware/exportAuth');
+const fs = require('fs');
+const {
+  REPORT_TYPES,
+  generateReport,
+  listReports,
+  findReportFile
+} = require('../services/salesReports');
+
+// @route   GET api/reports
+// @desc    Past sales reports, newest first (?type=daily|weekly)
+// @access  Private (admin only)
+router.get('/', auth, async (req, res) => {
+  try {
+    const { type } = req.query;
+
+    if (type && !REPORT_TYPES.includes(type)) {
+      return res.status(400).json({ msg: 'Invalid report type', allowed: REPORT_TYPES });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    res.json(await listReports({ type, limit }));
+  } catch (err) {
+    console.error('Error fetching reports:', err);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   POST api/reports/generate
+// @desc    Generate the latest daily or weekly report now instead of waiting for the schedule
+// @access  Private (admin only)
+router.post('/generate', auth, async (req, res) => {
+  try {
+    const { type } = req.body;
+
+    if (!REPORT_TYPES.includes(type)) {
+      return res.status(400).json({ msg: 'Invalid report type', allowed: REPORT_TYPES });
+    }
+
+    const report = await generateReport(type, {
+      io: req.app.get('io'),
+      adminSockets: req.app.get('adminSockets')
+    });
+
+    if (!report) {
+      return res.status(409).json({ msg: 'This report has already been generated' });
+    }
+
+    res.status(201).json(report);
+  } catch (err) {
+    console.error('Error generating report:', err);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route   GET api/reports/:id/download
+// @desc    Download a report (?format=excel|pdf)
+// @access  Private (admin only) - token in x-auth-token header or ?token=
+router.get('/:id/download', exportAuth, async (req, res) => {
+  try {
+    const fileFormat = req.query.format || 'pdf';
+
+    if (!['excel', 'pdf'].includes(fileFormat)) {
+      return res.status(400).json({ msg: 'Invalid format' });
+    }
+
+    const file = await findReportFile(req.params.id, fileFormat);
+
+    if (!file || !fs.existsSync(file.filePath)) {
+      return res.status(404).json({ msg: 'Report not found' });
+    }
+
+    res.setHeader('Content-Type', file.mimeType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    fs.createReadStream(file.filePath).pipe(res);
+  } catch (err) {
+    console.error('Error downloading report:', err);
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
@@ -4,7 +4,12 @@ const cors = require('cors');
 const path = require('path');
 const socketIo = require('socket.io');
 const bodyParser = require('body-parser');
+const jwt = require('jsonwebtoken');
 require('dotenv').config();
+const { startExportSweeper } = require('./services/exportJobs');
+const { startReportScheduler } = require('./services/salesReports');
+const { backfillSearchFields } = require('./services/productSearch');
+const { checkInvoiceFont } = require('./services/invoiceService');
 
 const app = express();
 const server = http.createServer(app);
@@ -33,6 +38,14 @@ io.on('connection', (socket) => {
     console.log('Admin authenticated:', socket.id);
     adminSockets.add(socket.id);
     
+    // Per-admin room for messages meant for one admin only (export progress)
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'jwt_secret');
+      socket.join(`admin:${decoded.admin.id}`);
+    } catch (err) {
+      console.log('Socket token not valid, no admin room joined:', socket.id);
+    }
+    
     // Use a different event type for connection confirmation
     socket.emit('connection_status', {
       status: 'connected',
@@ -81,14 +94,15 @@ app.use(express.urlencoded({ extended: true }));
 // Serve static files from the uploads directory
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
-// Serve exported files from the temp directory
-app.use('/temp', express.static(path.join(__dirname, 'temp')));
-
 // API Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/products', require('./routes/products'));
 app.use('/api/banners', require('./routes/banners'));
+app.use('/api/categories', require('./routes/categories'));
 app.use('/api/orders', require('./routes/orders'));
+app.use('/api/inventory', require('./routes/inventory'));
+app.use('/api/analytics', require('./routes/analytics'));
+app.use('/api/reports', require('./routes/reports'));
 
 // Improved error handling
 app.use((err, req, res, next) => {
@@ -101,4 +115,20 @@ app.use((err, req, res, next) => {
 
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  
+  // Remove expired order exports
+  startExportSweeper();
+  
+  // Daily and weekly sales reports
+  startReportScheduler(io, adminSockets);
+  
+  // Search columns of products not indexed yet
+  backfillSearchFields();
+  
+  // Invoices cannot be rendered without the Arabic font
+  try {
+    checkInvoiceFont();
+  } catch (err) {
+    console.error(err.message);
+  }
 });
@@ -0,0 +1,269 @@
+const db = require('../config/db');
+const { roundPrice } = require('./orderPricing');
+const { buildOrderFilters } = require('./orderQueries');
+
+// Group-by formats for the sales series
+const PERIODS = {
+  day: '%Y-%m-%d',
+  week: '%x-W%v',
+  month: '%Y-%m'
+};
+
+// Orders that did not turn into a sale
+const LOST_STATUSES = ['cancelled', 'returned'];
+
+// Sort options for the top products, variants and colors
+const TOP_SORTS = {
+  quantity: 'quantity DESC, revenue DESC',
+  revenue: 'revenue DESC, quantity DESC'
+};
+
+/**
+ * Build the WHERE clause for a date range, optionally only counting sales
+ * @param {Object} range - { startDate, endDate } as YYYY-MM-DD
+ * @param {Object} options - { salesOnly } to leave out cancelled and returned orders
+ * @returns {Object} - { where, params }
+ */
+const rangeFilter = ({ startDate, endDate } = {}, { salesOnly = false } = {}) => {
+  const { where, params } = buildOrderFilters({ startDate, endDate }, 'o');
+
+  if (!salesOnly) {
+    return { where, params };
+  }
+
+  const condition = `o.status NOT IN (${LOST_STATUSES.map(() => '?').join(', ')})`;
+  return {
+    where: where ? `${where} AND ${condition}` : `WHERE ${condition}`,
+    params: [...params, ...LOST_STATUSES]
+  };
+};
+
+// Convert SUM/AVG results, which MySQL returns as strings
+const amount = (value) => roundPrice(parseFloat(value) || 0);
+
+/**
+ * Headline figures for a date range
+ * @param {Object} range - { startDate, endDate }
+ * @returns {Promise<Object>}
+ */
+const getSummary = async (range) => {
+  const { where, params } = rangeFilter(range);
+
+  const [rows] = await db.query(`
+    SELECT
+      COUNT(*) as order_count,
+      SUM(o.status = 'cancelled') as cancelled_count,
+      SUM(o.status = 'returned') as returned_count,
+      COALESCE(SUM(CASE WHEN o.status NOT IN ('cancelled', 'returned') THEN o.total END), 0) as revenue,
+      SUM(o.status NOT IN ('cancelled', 'returned')) as sales_count
+    FROM orders o
+    ${where}
+  `, params);
+
+  const row = rows[0];
+  const orderCount = parseInt(row.order_count) || 0;
+  const salesCount = parseInt(row.sales_count) || 0;
+  const cancelledCount = parseInt(row.cancelled_count) || 0;
+  const returnedCount = parseInt(row.returned_count) || 0;
+  const revenue = amount(row.revenue);
+
+  return {
+    orderCount,
+    salesCount,
+    revenue,
+    averageBasket: salesCount > 0 ? roundPrice(revenue / salesCount) : 0,
+    cancelledCount,
+    returnedCount,
+    cancellationRate: orderCount > 0 ? Math.round((cancelledCount / orderCount) * 10000) / 100 : 0,
+    returnRate: orderCount > 0 ? Math.round((returnedCount / orderCount) * 10000) / 100 : 0
+  };
+};
+
+/**
+ * Revenue, order count and average basket per day, week or month
+ * @param {Object} range - { startDate, endDate }
+ * @param {string} period - One of PERIODS
+ * @returns {Promise<Array>}
+ */
+const getSalesOverTime = async (range, period = 'day') => {
+  const { where, params } = rangeFilter(range, { salesOnly: true });
+
+  const [rows] = await db.query(`
+    SELECT
+      DATE_FORMAT(o.order_date, ?) as period,
+      COUNT(*) as order_count,
+      COALESCE(SUM(o.total), 0) as revenue
+    FROM orders o
+    ${where}
+    GROUP BY period
+    ORDER BY period ASC
+  `, [PERIODS[period], ...params]);
+
+  return rows.map(row => {
+    const orderCount = parseInt(row.order_count) || 0;
+    const revenue = amount(row.revenue);
+
+    return {
+      period: row.period,
+      orderCount,
+      revenue,
+      averageBasket: orderCount > 0 ? roundPrice(revenue / orderCount) : 0
+    };
+  });
+};
+
+/**
+ * Order count and revenue by order source and by status
+ * @param {Object} range - { startDate, endDate }
+ * @returns {Promise<Object>} - { bySource, byStatus }
+ */
+const getBreakdown = async (range) => {
+  const { where, params } = rangeFilter(range);
+
+  const breakdownBy = async (column) => {
+    const [rows] = await db.query(`
+      SELECT o.${column} as value, COUNT(*) as order_count, COALESCE(SUM(o.total), 0) as revenue
+      FROM orders o
+      ${where}
+      GROUP BY o.${column}
+      ORDER BY order_count DESC
+    `, params);
+
+    return rows.map(row => ({
+      [column === 'order_source' ? 'source' : 'status']: row.value,
+      orderCount: parseInt(row.order_count) || 0,
+      revenue: amount(row.revenue)
+    }));
+  };
+
+  return {
+    bySource: await breakdownBy('order_source'),
+    byStatus: await breakdownBy('status')
+  };
+};
+
+/**
+ * Best selling products by quantity or revenue
+ * @param {Object} range - { startDate, endDate }
+ * @param {Object} options - { sort, limit }
+ * @returns {Promise<Array>}
+ */
+const getTopProducts = async (range, { sort = 'quantity', limit = 10 } = {}) => {
+  const { where, params } = rangeFilter(range, { salesOnly: true });
+
+  const [rows] = await db.query(`
+    SELECT
+      p.id, p.name_fr, p.name_ar, p.image,
+      SUM(oi.quantity) as quantity,
+      SUM(oi.price * oi.quantity) as revenue,
+      COUNT(DISTINCT o.id) as order_count
+    FROM order_items oi
+    JOIN orders o ON oi.order_id = o.id
+    JOIN products p ON oi.product_id = p.id
+    ${where}
+    GROUP BY p.id, p.name_fr, p.name_ar, p.image
+    ORDER BY ${TOP_SORTS[sort]}
+    LIMIT ?
+  `, [...params, limit]);
+
+  return rows.map(row => ({
+    productId: row.id,
+    name_fr: row.name_fr,
+    name_ar: row.name_ar,
+    image: row.image,
+    quantity: parseInt(row.quantity) || 0,
+    revenue: amount(row.revenue),
+    orderCount: parseInt(row.order_count) || 0
+  }));
+};
+
+/**
+ * Best selling variants (color, size, volume...) by quantity or revenue
+ * @param {Object} range - { startDate, endDate }
+ * @param {Object} options - { sort, limit }
+ * @returns {Promise<Array>}
+ */
+const getTopVariants = async (range, { sort = 'quantity', limit = 10 } = {}) => {
+  const { where, params } = rangeFilter(range, { salesOnly: true });
+
+  const [rows] = await db.query(`
+    SELECT
+      pv.id, pv.sku, pv.name_fr, pv.name_ar, pv.hex_code, pv.image,
+      p.id as product_id, p.name_fr as product_name_fr,
+      SUM(oi.quantity) as quantity,
+      SUM(oi.price * oi.quantity) as revenue
+    FROM order_items oi
+    JOIN orders o ON oi.order_id = o.id
+    JOIN product_variants pv ON oi.variant_id = pv.id
+    JOIN products p ON pv.product_id = p.id
+    ${where}
+    GROUP BY pv.id, pv.sku, pv.name_fr, pv.name_ar, pv.hex_code, pv.image, p.id, p.name_fr
+    ORDER BY ${TOP_SORTS[sort]}
+    LIMIT ?
+  `, [...params, limit]);
+
+  return rows.map(row => ({
+    variantId: row.id,
+    sku: row.sku,
+    name_fr: row.name_fr,
+    name_ar: row.name_ar,
+    hex_code: row.hex_code,
+    image: row.image,
+    productId: row.product_id,
+    product_name_fr: row.product_name_fr,
+    quantity: parseInt(row.quantity) || 0,
+    revenue: amount(row.revenue)
+  }));
+};
+
+/**
+ * Best selling colors by quantity or revenue. Variants of a product sharing
+ * a color (Rouge / S, Rouge / M) count as one color.
+ * @param {Object} range - { startDate, endDate }
+ * @param {Object} options - { sort, limit }
+ * @returns {Promise<Array>}
+ */
+const getTopColors = async (range, { sort = 'quantity', limit = 10 } = {}) => {
+  const { where, params } = rangeFilter(range, { salesOnly: true });
+
+  const [rows] = await db.query(`
+    SELECT
+      MIN(pv.id) as id, vo.value_fr as name_fr, vo.value_ar as name_ar, vo.hex_code,
+      p.id as product_id, p.name_fr as product_name_fr,
+      SUM(oi.quantity) as quantity,
+      SUM(oi.price * oi.quantity) as revenue
+    FROM order_items oi
+    JOIN orders o ON oi.order_id = o.id
+    JOIN product_variants pv ON oi.variant_id = pv.id
+    JOIN product_variant_options vo ON vo.variant_id = pv.id
+    JOIN product_option_types t ON vo.option_type_id = t.id AND t.code = 'color'
+    JOIN products p ON pv.product_id = p.id
+    ${where}
+    GROUP BY vo.value_fr, vo.value_ar, vo.hex_code, p.id, p.name_fr
+    ORDER BY ${TOP_SORTS[sort]}
+    LIMIT ?
+  `, [...params, limit]);
+
+  return rows.map(row => ({
+    // First variant of the product in that color
+    colorId: row.id,
+    name_fr: row.name_fr,
+    name_ar: row.name_ar,
+    hex_code: row.hex_code,
+    productId: row.product_id,
+    product_name_fr: row.product_name_fr,
+    quantity: parseInt(row.quantity) || 0,
+    revenue: amount(row.revenue)
+  }));
+};
+
+module.exports = {
+  PERIODS,
+  TOP_SORTS,
+  getSummary,
+  getSalesOverTime,
+  getBreakdown,
+  getTopProducts,
+  getTopVariants,
+  getTopColors
+};
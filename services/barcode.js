@@ -0,0 +1,64 @@
+// Code 39 patterns: 9 elements (bar, space, bar, ...), n = narrow, w = wide
+const CODE39_PATTERNS = {
+  '0': 'nnnwwnwnn', '1': 'wnnwnnnnw', '2': 'nnwwnnnnw', '3': 'wnwwnnnnn',
+  '4': 'nnnwwnnnw', '5': 'wnnwwnnnn', '6': 'nnwwwnnnn', '7': 'nnnwnnwnw',
+  '8': 'wnnwnnwnn', '9': 'nnwwnnwnn', 'A': 'wnnnnwnnw', 'B': 'nnwnnwnnw',
+  'C': 'wnwnnwnnn', 'D': 'nnnnwwnnw', 'E': 'wnnnwwnnn', 'F': 'nnwnwwnnn',
+  'G': 'nnnnnwwnw', 'H': 'wnnnnwwnn', 'I': 'nnwnnwwnn', 'J': 'nnnnwwwnn',
+  'K': 'wnnnnnnww', 'L': 'nnwnnnnww', 'M': 'wnwnnnnwn', 'N': 'nnnnwnnww',
+  'O': 'wnnnwnnwn', 'P': 'nnwnwnnwn', 'Q': 'nnnnnnwww', 'R': 'wnnnnnwwn',
+  'S': 'nnwnnnwwn', 'T': 'nnnnwnwwn', 'U': 'wwnnnnnnw', 'V': 'nwwnnnnnw',
+  'W': 'wwwnnnnnn', 'X': 'nwnnwnnnw', 'Y': 'wwnnwnnnn', 'Z': 'nwwnwnnnn',
+  '-': 'nwnnnnwnw', '.': 'wwnnnnwnn', ' ': 'nwwnnnwnn', '*': 'nwnnwnwnn'
+};
+
+// Width of a wide element, in narrow elements
+const WIDE_RATIO = 3;
+
+/**
+ * Draw a Code 39 barcode with pdfkit
+ * @param {Object} doc - PDFDocument
+ * @param {string} value - Text to encode (digits, A-Z, '-', '.', space)
+ * @param {number} x - Left position
+ * @param {number} y - Top position
+ * @param {Object} options - { width, height } of the barcode
+ */
+const drawCode39 = (doc, value, x, y, { width, height }) => {
+  const text = `*${String(value).toUpperCase()}*`;
+
+  for (const char of text) {
+    if (!CODE39_PATTERNS[char]) {
+      throw new Error(`Character "${char}" cannot be encoded in Code 39`);
+    }
+  }
+
+  // Each character is 6 narrow + 3 wide elements, followed by a narrow gap
+  const unitsPerChar = 6 + 3 * WIDE_RATIO + 1;
+  const unit = width / (text.length * unitsPerChar - 1);
+  let cursor = x;
+
+  doc.save().fillColor('#000000');
+
+  for (const char of text) {
+    const pattern = CODE39_PATTERNS[char];
+
+    for (let i = 0; i < pattern.length; i++) {
+      const elementWidth = (pattern[i] === 'w' ? WIDE_RATIO : 1) * unit;
+
+      // Even positions are bars, odd positions are spaces
+      if (i % 2 === 0) {
+        doc.rect(cursor, y, elementWidth, height).fill();
+      }
+
+      cursor += elementWidth;
+    }
+
+    cursor += unit;
+  }
+
+  doc.restore();
+};
+
+module.exports = {
+  drawCode39
+};
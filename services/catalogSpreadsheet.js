@@ -0,0 +1,466 @@
+const ExcelJS = require('exceljs');
+const path = require('path');
+const { recordMovement } = require('./inventoryService');
+const { saveProductVariants, getProductVariants } = require('./productVariants');
+const { csvValue, fromCsvValue } = require('./exportService');
+const { refreshSearchFields } = require('./productSearch');
+const { loadCategories, findCategory } = require('./categoryService');
+
+// Spreadsheet columns, shared by the import and the export so an export can be re-imported.
+// One row per product, or one row per variant with the product columns filled on its first row.
+const CATALOG_COLUMNS = [
+  { key: 'id', header: 'id', width: 8 },
+  { key: 'name_fr', header: 'name_fr', width: 30 },
+  { key: 'name_ar', header: 'name_ar', width: 30 },
+  { key: 'desc_fr', header: 'desc_fr', width: 40 },
+  { key: 'desc_ar', header: 'desc_ar', width: 40 },
+  { key: 'price', header: 'price', width: 10 },
+  { key: 'discount', header: 'discount', width: 10 },
+  { key: 'category', header: 'category', width: 15 },
+  { key: 'stock', header: 'stock', width: 8 },
+  { key: 'image_url', header: 'image_url', width: 40 },
+  { key: 'variant_id', header: 'variant_id', width: 10 },
+  { key: 'sku', header: 'sku', width: 16 },
+  { key: 'color_name_fr', header: 'color_name_fr', width: 20 },
+  { key: 'color_name_ar', header: 'color_name_ar', width: 20 },
+  { key: 'color_hex', header: 'color_hex', width: 10 },
+  { key: 'size_fr', header: 'size_fr', width: 12 },
+  { key: 'size_ar', header: 'size_ar', width: 12 },
+  { key: 'volume_fr', header: 'volume_fr', width: 12 },
+  { key: 'volume_ar', header: 'volume_ar', width: 12 },
+  { key: 'variant_price', header: 'variant_price', width: 12 },
+  { key: 'variant_stock', header: 'variant_stock', width: 12 },
+  { key: 'variant_image_url', header: 'variant_image_url', width: 40 }
+];
+
+// Columns holding the value of each variant option type
+const OPTION_COLUMNS = [
+  { type: 'color', fr: 'color_name_fr', ar: 'color_name_ar', hex: 'color_hex' },
+  { type: 'size', fr: 'size_fr', ar: 'size_ar' },
+  { type: 'volume', fr: 'volume_fr', ar: 'volume_ar' }
+];
+
+const VARIANT_FIELDS = [
+  'sku', 'variant_price', 'variant_stock', 'variant_image_url',
+  ...OPTION_COLUMNS.flatMap(column => [column.fr, column.ar, column.hex].filter(Boolean))
+];
+
+// Headers of files exported before variants replaced colors
+const LEGACY_HEADERS = {
+  color_id: 'variant_id',
+  color_stock: 'variant_stock',
+  color_image_url: 'variant_image_url'
+};
+
+// Read the text of a cell, whatever ExcelJS made of it (rich text, hyperlink, formula)
+const cellText = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('').trim();
+    if (value.text !== undefined) return String(value.text).trim();
+    if (value.hyperlink) return String(value.hyperlink).trim();
+    if (value.result !== undefined) return String(value.result).trim();
+  }
+
+  return String(value).trim();
+};
+
+/**
+ * Read the rows of an uploaded catalog spreadsheet
+ * @param {string} filePath - Uploaded file
+ * @param {string} originalName - Name of the file on the admin's computer, for its extension
+ * @returns {Promise<Array>} - Rows keyed by column name, with their spreadsheet row number
+ */
+const readCatalogFile = async (filePath, originalName) => {
+  const workbook = new ExcelJS.Workbook();
+  const extension = path.extname(originalName).toLowerCase();
+
+  const worksheet = extension === '.csv'
+    ? await workbook.csv.readFile(filePath)
+    : (await workbook.xlsx.readFile(filePath)).worksheets[0];
+
+  if (!worksheet) {
+    return [];
+  }
+
+  // Header names, without the BOM Excel adds to CSV files
+  const headers = [];
+  worksheet.getRow(1).eachCell((cell, column) => {
+    const header = cellText(cell.value).replace(/^\uFEFF/, '').toLowerCase();
+    headers[column] = LEGACY_HEADERS[header] || header;
+  });
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = { rowNumber };
+    headers.forEach((header, column) => {
+      if (header) values[header] = fromCsvValue(cellText(row.getCell(column).value));
+    });
+
+    // Skip blank lines
+    if (CATALOG_COLUMNS.some(column => values[column.key])) {
+      rows.push(values);
+    }
+  });
+
+  return rows;
+};
+
+/**
+ * Validate catalog rows and group them into products with their variants.
+ * Rows with an id update that product; rows without one create a product.
+ * Further rows with the same id (or, for new products, the same name_fr) add variants;
+ * their product columns are ignored.
+ * @param {Object} connection - MySQL connection or pool
+ * @param {Array} rows - Rows from readCatalogFile
+ * @returns {Promise<Object>} - { products, errors } where errors are { row, field, message }
+ */
+const validateCatalogRows = async (connection, rows) => {
+  const errors = [];
+  const products = [];
+  const byKey = new Map();
+
+  const addError = (row, field, message) => errors.push({ row: row.rowNumber, field, message });
+
+  const parseNumber = (row, field, { integer = false, min = 0, max = null } = {}) => {
+    const text = row[field];
+    if (text === undefined || text === '') return null;
+
+    const value = integer ? Number(text) : parseFloat(String(text).replace(',', '.'));
+    if (Number.isNaN(value) || (integer && !Number.isInteger(value)) || value < min || (max !== null && value > max)) {
+      const expected = integer ? 'a whole number' : 'a number';
+      addError(row, field, max === null ? `Must be ${expected} of ${min} or more` : `Must be ${expected} between ${min} and ${max}`);
+      return undefined;
+    }
+
+    return value;
+  };
+
+  const isUrl = (value) => /^https?:\/\/\S+$/i.test(value);
+  const categories = await loadCategories(connection);
+  const skus = new Set();
+
+  for (const row of rows) {
+    const id = parseNumber(row, 'id', { integer: true, min: 1 });
+    const key = id ? `id:${id}` : `name:${(row.name_fr || '').toLowerCase()}`;
+    let product = byKey.get(key);
+
+    if (!product) {
+      if (!row.name_fr) addError(row, 'name_fr', 'Required');
+      if (!row.name_ar) addError(row, 'name_ar', 'Required');
+
+      const price = parseNumber(row, 'price');
+      if (price === null) addError(row, 'price', 'Required');
+
+      if (row.image_url && !isUrl(row.image_url)) {
+        addError(row, 'image_url', 'Must be an http(s) link');
+      } else if (!row.image_url && !id) {
+        addError(row, 'image_url', 'Required for new products');
+      }
+
+      // Categories must exist; the file cannot create them
+      const category = row.category ? findCategory(categories, row.category) : null;
+      if (row.category && !category) {
+        addError(row, 'category', `Unknown category "${row.category}"`);
+      }
+
+      // An empty stock cell keeps the stock of an existing product
+      const stock = parseNumber(row, 'stock', { integer: true });
+
+      product = {
+        row: row.rowNumber,
+        id: id || null,
+        name_fr: row.name_fr,
+        name_ar: row.name_ar,
+        desc_fr: row.desc_fr || '',
+        desc_ar: row.desc_ar || '',
+        price,
+        discount: parseNumber(row, 'discount', { max: 100 }) || 0,
+        category: category || null,
+        stock: stock === null && id ? null : stock || 0,
+        image: row.image_url || null,
+        variants: []
+      };
+
+      byKey.set(key, product);
+      products.push(product);
+    }
+
+    const variantId = parseNumber(row, 'variant_id', { integer: true, min: 1 });
+    if (variantId || VARIANT_FIELDS.some(field => row[field])) {
+      const optionColumns = OPTION_COLUMNS.filter(column => row[column.fr] || row[column.ar] || (column.hex && row[column.hex]));
+
+      if (optionColumns.length === 0) {
+        addError(row, 'color_name_fr', 'A variant needs a color, size or volume');
+      }
+
+      optionColumns.forEach(column => {
+        if (!row[column.fr]) addError(row, column.fr, `Required for a ${column.type}`);
+        if (!row[column.ar]) addError(row, column.ar, `Required for a ${column.type}`);
+      });
+
+      if (row.color_hex && !/^#[0-9a-f]{6}$/i.test(row.color_hex)) {
+        addError(row, 'color_hex', 'Must look like #A1B2C3');
+      }
+
+      if (row.variant_image_url && !isUrl(row.variant_image_url)) {
+        addError(row, 'variant_image_url', 'Must be an http(s) link');
+      }
+
+      if (row.sku) {
+        if (skus.has(row.sku.toLowerCase())) {
+          addError(row, 'sku', `SKU ${row.sku} is used on another row`);
+        }
+        skus.add(row.sku.toLowerCase());
+      }
+
+      // An empty price uses the product price
+      const variantPrice = parseNumber(row, 'variant_price');
+      const variantStock = parseNumber(row, 'variant_stock', { integer: true });
+
+      product.variants.push({
+        row: row.rowNumber,
+        id: variantId || null,
+        sku: row.sku || null,
+        price: variantPrice === undefined ? null : variantPrice,
+        priceSent: true,
+        stock: variantStock === null && variantId ? null : variantStock || 0,
+        threshold: null,
+        thresholdSent: false,
+        image: row.variant_image_url || null,
+        imageSent: Boolean(row.variant_image_url),
+        options: optionColumns.map(column => ({
+          type: column.type,
+          value_fr: row[column.fr],
+          value_ar: row[column.ar],
+          hex_code: column.hex ? row[column.hex] || null : null
+        }))
+      });
+    }
+  }
+
+  // Rows that update must point to existing products and variants
+  for (const product of products.filter(p => p.id)) {
+    const [existing] = await connection.query('SELECT id FROM products WHERE id = ?', [product.id]);
+    if (existing.length === 0) {
+      errors.push({ row: product.row, field: 'id', message: `Product ${product.id} does not exist` });
+      continue;
+    }
+
+    for (const variant of product.variants.filter(v => v.id)) {
+      const [variants] = await connection.query(
+        'SELECT id, image FROM product_variants WHERE id = ? AND product_id = ?',
+        [variant.id, product.id]
+      );
+
+      if (variants.length === 0) {
+        errors.push({ row: variant.row, field: 'variant_id', message: `Variant ${variant.id} does not belong to product ${product.id}` });
+      } else if (!variant.image) {
+        // Variants listed without an image keep theirs
+        variant.image = variants[0].image;
+      }
+    }
+  }
+
+  for (const product of products.filter(p => !p.id)) {
+    const stray = product.variants.find(v => v.id);
+    if (stray) {
+      errors.push({ row: stray.row, field: 'variant_id', message: 'New products cannot reference an existing variant' });
+    }
+  }
+
+  for (const variant of products.flatMap(product => product.variants).filter(v => v.sku)) {
+    const [taken] = await connection.query(
+      'SELECT id FROM product_variants WHERE sku = ? AND id <> ?',
+      [variant.sku, variant.id || 0]
+    );
+
+    if (taken.length > 0) {
+      errors.push({ row: variant.row, field: 'sku', message: `SKU ${variant.sku} is already used by another variant` });
+    }
+  }
+
+  errors.sort((a, b) => a.row - b.row);
+
+  return { products, errors };
+};
+
+/**
+ * Write validated products to the catalog.
+ * Updated products keep the variants that are not listed in the file.
+ * @param {Object} connection - MySQL connection (inside the import transaction)
+ * @param {Array} products - Products from validateCatalogRows
+ * @param {Object} admin - Admin running the import, for the stock ledger
+ * @returns {Promise<Object>} - Counts of created and updated products and variants
+ */
+const importCatalog = async (connection, products, admin) => {
+  const summary = { productsCreated: 0, productsUpdated: 0, variantsCreated: 0, variantsUpdated: 0 };
+
+  // Keep the stock ledger in step with the stock written by the import
+  const recordStock = async (productId, previous, stock) => {
+    if (previous === stock) return;
+
+    await recordMovement(connection, {
+      productId,
+      quantity: stock - (previous || 0),
+      stockAfter: stock,
+      type: previous === null ? 'opening' : 'product_edit',
+      reason: 'Catalog import',
+      admin
+    });
+  };
+
+  for (const product of products) {
+    let productId = product.id;
+    const categorySlug = product.category ? product.category.slug : null;
+    const categoryId = product.category ? product.category.id : null;
+
+    if (productId) {
+      const [existing] = await connection.query('SELECT stock, image FROM products WHERE id = ? FOR UPDATE', [productId]);
+      const previous = parseInt(existing[0].stock) || 0;
+      const stock = product.stock === null ? previous : product.stock;
+
+      await connection.query(
+        'UPDATE products SET name_fr = ?, name_ar = ?, desc_fr = ?, desc_ar = ?, price = ?, discount = ?, category = ?, category_id = ?, image = ?, stock = ? WHERE id = ?',
+        [product.name_fr, product.name_ar, product.desc_fr, product.desc_ar, product.price, product.discount,
+          categorySlug, categoryId, product.image || existing[0].image, stock, productId]
+      );
+
+      await recordStock(productId, previous, stock);
+      summary.productsUpdated++;
+    } else {
+      const [result] = await connection.query(
+        'INSERT INTO products (name_fr, name_ar, desc_fr, desc_ar, price, discount, category, category_id, image, stock) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+        [product.name_fr, product.name_ar, product.desc_fr, product.desc_ar, product.price, product.discount,
+          categorySlug, categoryId, product.image, product.stock]
+      );
+
+      productId = result.insertId;
+      await recordStock(productId, null, product.stock);
+      summary.productsCreated++;
+    }
+
+    await refreshSearchFields(connection, productId);
+
+    const saved = await saveProductVariants(connection, productId, product.variants, { reason: 'Catalog import', admin });
+    if (saved.msg) {
+      throw new Error(saved.msg);
+    }
+
+    summary.variantsCreated += saved.created;
+    summary.variantsUpdated += saved.updated;
+  }
+
+  return summary;
+};
+
+/**
+ * Load the whole catalog as spreadsheet rows
+ * @param {Object} connection - MySQL connection or pool
+ * @returns {Promise<Array>} - Rows keyed by column name
+ */
+const fetchCatalogRows = async (connection) => {
+  const [products] = await connection.query('SELECT * FROM products ORDER BY id ASC');
+
+  const rows = [];
+  for (const product of products) {
+    const productColumns = {
+      id: product.id,
+      name_fr: product.name_fr,
+      name_ar: product.name_ar,
+      desc_fr: product.desc_fr,
+      desc_ar: product.desc_ar,
+      price: parseFloat(product.price) || 0,
+      discount: parseFloat(product.discount) || 0,
+      category: product.category,
+      stock: product.stock,
+      image_url: product.image
+    };
+
+    const variants = await getProductVariants(connection, product.id);
+    if (variants.length === 0) {
+      rows.push(productColumns);
+      continue;
+    }
+
+    // Product columns on the first row only, as the import expects
+    variants.forEach((variant, index) => {
+      const row = {
+        ...(index === 0 ? productColumns : { id: product.id }),
+        variant_id: variant.id,
+        sku: variant.sku,
+        variant_price: variant.price !== null ? parseFloat(variant.price) : null,
+        variant_stock: variant.stock,
+        variant_image_url: variant.image
+      };
+
+      variant.options.forEach(option => {
+        const column = OPTION_COLUMNS.find(item => item.type === option.type);
+        if (!column) return;
+
+        row[column.fr] = option.value_fr;
+        row[column.ar] = option.value_ar;
+        if (column.hex) row[column.hex] = option.hex_code;
+      });
+
+      rows.push(row);
+    });
+  }
+
+  return rows;
+};
+
+/**
+ * Render catalog rows as an Excel workbook
+ * @param {Array} rows - Rows from fetchCatalogRows
+ * @param {Object} stream - Writable stream
+ */
+const renderCatalogExcel = async (rows, stream) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Beauty Shop';
+  workbook.created = new Date();
+
+  const worksheet = workbook.addWorksheet('Catalogue');
+  worksheet.columns = CATALOG_COLUMNS;
+
+  const headerRow = worksheet.getRow(1);
+  headerRow.eachCell((cell) => {
+    cell.font = { bold: true, color: { argb: 'FFFFFF' } };
+    cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: '3B82F6' } };
+  });
+
+  rows.forEach(row => worksheet.addRow(row));
+
+  await workbook.xlsx.write(stream);
+  stream.end();
+};
+
+/**
+ * Render catalog rows as CSV, with a BOM so Excel keeps Arabic names readable
+ * @param {Array} rows - Rows from fetchCatalogRows
+ * @param {Object} stream - Writable stream
+ */
+const renderCatalogCsv = async (rows, stream) => {
+  stream.write('\uFEFF' + CATALOG_COLUMNS.map(column => column.key).join(',') + '\r\n');
+
+  rows.forEach(row => {
+    stream.write(CATALOG_COLUMNS.map(column => csvValue(row[column.key])).join(',') + '\r\n');
+  });
+
+  stream.end();
+};
+
+module.exports = {
+  CATALOG_COLUMNS,
+  readCatalogFile,
+  validateCatalogRows,
+  importCatalog,
+  fetchCatalogRows,
+  renderCatalogExcel,
+  renderCatalogCsv
+};
@@ -0,0 +1,134 @@
+const db = require('../config/db');
+
+/**
+ * Build a URL slug from a name ("Soins du visage" -> "soins-du-visage")
+ * @param {string} text - Name
+ * @returns {string} - Slug, empty when the name has no latin letters or digits
+ */
+const slugify = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 191);
+
+/**
+ * Load every category, in display order
+ * @param {Object} connection - MySQL connection or pool
+ * @returns {Promise<Array>} - Categories with the number of products filed directly under each
+ */
+const loadCategories = async (connection = db) => {
+  const [categories] = await connection.query(
+    `SELECT c.*, COUNT(p.id) as product_count
+     FROM categories c
+     LEFT JOIN products p ON p.category_id = c.id
+     GROUP BY c.id
+     ORDER BY c.sort_order ASC, c.name_fr ASC`
+  );
+
+  return categories;
+};
+
+/**
+ * Nest a flat list of categories under their parents. Categories whose parent
+ * is not in the list are left out, with everything below them.
+ * @param {Array} categories - Flat list, in display order
+ * @param {number} rootId - Parent of the returned categories (null for the top level)
+ * @returns {Array} - Categories under rootId, each with its children
+ */
+const buildCategoryTree = (categories, rootId = null) => {
+  const nodes = categories.map(category => ({ ...category, children: [] }));
+  const byId = new Map(nodes.map(node => [node.id, node]));
+  const roots = [];
+
+  nodes.forEach(node => {
+    if ((node.parent_id || null) === rootId) {
+      roots.push(node);
+    } else if (byId.has(node.parent_id)) {
+      byId.get(node.parent_id).children.push(node);
+    }
+  });
+
+  return roots;
+};
+
+/**
+ * Flatten a category tree back to a list, parents before their children
+ * @param {Array} tree - Result of buildCategoryTree
+ * @returns {Array} - Categories without the children key
+ */
+const flattenCategoryTree = (tree) => tree.flatMap(({ children, ...category }) => [
+  category,
+  ...flattenCategoryTree(children)
+]);
+
+/**
+ * IDs of a category and of every category below it
+ * @param {Array} categories - Flat list
+ * @param {number} id - Category ID
+ * @returns {Array<number>}
+ */
+const getDescendantIds = (categories, id) => {
+  const ids = [id];
+
+  for (let i = 0; i < ids.length; i++) {
+    categories
+      .filter(category => category.parent_id === ids[i])
+      .forEach(category => ids.push(category.id));
+  }
+
+  return ids;
+};
+
+/**
+ * Find a category by ID, slug or French name
+ * @param {Array} categories - Flat list
+ * @param {string|number} value - ID, slug or name
+ * @returns {Object|undefined}
+ */
+const findCategory = (categories, value) => {
+  const key = String(value || '').trim().toLowerCase();
+
+  return categories.find(category => String(category.id) === key || category.slug === key)
+    || categories.find(category => category.slug === slugify(key) || category.name_fr.toLowerCase() === key);
+};
+
+/**
+ * Resolve category slugs or IDs to the IDs of those categories and their subcategories
+ * @param {Array<string>} values - Slugs or IDs
+ * @returns {Promise<Array<number>>} - IDs, empty when none exists
+ */
+const resolveCategoryIds = async (values) => {
+  const categories = await loadCategories();
+  const ids = new Set();
+
+  values.forEach(value => {
+    const category = findCategory(categories, value);
+    if (category) {
+      getDescendantIds(categories, category.id).forEach(id => ids.add(id));
+    }
+  });
+
+  return [...ids];
+};
+
+/**
+ * Whether putting a category under parentId would make it its own ancestor
+ * @param {Array} categories - Flat list
+ * @param {number} id - Category being moved
+ * @param {number} parentId - New parent
+ * @returns {boolean}
+ */
+const createsCycle = (categories, id, parentId) => getDescendantIds(categories, id).includes(parentId);
+
+module.exports = {
+  slugify,
+  loadCategories,
+  buildCategoryTree,
+  flattenCategoryTree,
+  getDescendantIds,
+  findCategory,
+  resolveCategoryIds,
+  createsCycle
+};
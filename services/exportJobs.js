@@ -0,0 +1,312 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const db = require('../config/db');
+const {
+  exportDir,
+  fetchOrdersForExport,
+  writeExportFile
+} = require('./exportService');
+
+// How long a generated export stays downloadable
+const EXPORT_TTL_MINUTES = parseInt(process.env.EXPORT_TTL_MINUTES) || 60;
+
+// How often expired export files are removed
+const EXPORT_SWEEP_MINUTES = parseInt(process.env.EXPORT_SWEEP_MINUTES) || 15;
+
+// Jobs waiting to run; exports run one at a time
+const queue = [];
+let running = false;
+
+// Secret used to sign download tokens
+const TOKEN_SECRET = process.env.EXPORT_TOKEN_SECRET || process.env.JWT_SECRET || 'jwt_secret';
+
+/**
+ * Sign the random part of a download token for one job and one admin
+ * @param {string} nonce - Random token part stored on the job
+ * @param {Object} job - { id, admin_id }
+ * @returns {string} - Hex HMAC
+ */
+const signToken = (nonce, job) => crypto
+  .createHmac('sha256', TOKEN_SECRET)
+  .update(`${nonce}:${job.id}:${job.admin_id}`)
+  .digest('hex');
+
+/**
+ * Build the download URL handed to the admin who requested the export.
+ * Only the random part is stored; the signature ties it to the job and its admin.
+ * @param {Object} job - export_jobs row with download_token
+ * @returns {string}
+ */
+const buildDownloadUrl = (job) =>
+  `/api/orders/download/${job.download_token}.${signToken(job.download_token, job)}`;
+
+/**
+ * Split and check a download token
+ * @param {string} token - "<nonce>.<signature>"
+ * @returns {Object|null} - { nonce, signature } or null when malformed
+ */
+const parseToken = (token) => {
+  const match = /^([a-f0-9]{64})\.([a-f0-9]{64})$/.exec(token || '');
+  return match ? { nonce: match[1], signature: match[2] } : null;
+};
+
+/**
+ * Tell the admin who requested an export how it is going
+ * @param {Object} io - Socket.io instance
+ * @param {Object} job - { id, admin_id }
+ * @param {Object} update - { status, progress, ... }
+ */
+const emitProgress = (io, job, update) => {
+  if (!io || !job.admin_id) {
+    return;
+  }
+
+  io.to(`admin:${job.admin_id}`).emit('export:progress', {
+    jobId: job.id,
+    ...update
+  });
+};
+
+/**
+ * Run one export job: fetch, render to a file, then publish the download token
+ * @param {Object} entry - { jobId, io }
+ */
+const runJob = async ({ jobId, io }) => {
+  const [rows] = await db.query('SELECT * FROM export_jobs WHERE id = ?', [jobId]);
+  if (rows.length === 0) {
+    return;
+  }
+
+  const job = rows[0];
+
+  try {
+    await db.query("UPDATE export_jobs SET status = 'running' WHERE id = ?", [job.id]);
+    emitProgress(io, job, { status: 'running', progress: 0 });
+
+    // Loading items is most of the work; rendering takes the last 10%
+    let lastReported = 0;
+    const orders = await fetchOrdersForExport(JSON.parse(job.filters || '{}'), (loaded, total) => {
+      const progress = Math.floor((loaded / total) * 90);
+
+      if (progress - lastReported >= 10) {
+        lastReported = progress;
+        emitProgress(io, job, { status: 'running', progress });
+        db.query('UPDATE export_jobs SET progress = ? WHERE id = ?', [progress, job.id])
+          .catch(err => console.error('Error saving export progress:', err));
+      }
+    });
+
+    const { filename, mimeType } = await writeExportFile(job.format, orders);
+    const downloadToken = crypto.randomBytes(32).toString('hex');
+
+    await db.query(
+      `UPDATE export_jobs
+       SET status = 'completed', progress = 100, order_count = ?, filename = ?, mime_type = ?,
+           download_token = ?, completed_at = NOW(), expires_at = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+       WHERE id = ?`,
+      [orders.length, filename, mimeType, downloadToken, EXPORT_TTL_MINUTES, job.id]
+    );
+
+    emitProgress(io, job, {
+      status: 'completed',
+      progress: 100,
+      filename,
+      downloadUrl: buildDownloadUrl({ ...job, download_token: downloadToken })
+    });
+  } catch (err) {
+    console.error(`Export job ${job.id} failed:`, err);
+
+    await db.query(
+      "UPDATE export_jobs SET status = 'failed', error = ?, completed_at = NOW() WHERE id = ?",
+      [err.message, job.id]
+    ).catch(updateErr => console.error('Error saving export failure:', updateErr));
+
+    emitProgress(io, job, { status: 'failed', error: err.message });
+  }
+};
+
+// Work through the queue until it is empty
+const processQueue = async () => {
+  if (running) {
+    return;
+  }
+
+  running = true;
+
+  while (queue.length > 0) {
+    await runJob(queue.shift());
+  }
+
+  running = false;
+};
+
+/**
+ * Queue an order export
+ * @param {Object} options - { admin, format, filters, io }
+ * @returns {Promise<Object>} - The queued job
+ */
+const createExportJob = async ({ admin, format, filters, io }) => {
+  const [result] = await db.query(
+    'INSERT INTO export_jobs (admin_id, format, filters) VALUES (?, ?, ?)',
+    [admin ? admin.id : null, format, JSON.stringify(filters || {})]
+  );
+
+  queue.push({ jobId: result.insertId, io });
+  processQueue().catch(err => console.error('Export queue error:', err));
+
+  const [rows] = await db.query('SELECT * FROM export_jobs WHERE id = ?', [result.insertId]);
+  return rows[0];
+};
+
+/**
+ * Shape a job for API responses
+ * @param {Object} job - export_jobs row
+ * @returns {Object}
+ */
+const formatJob = (job) => ({
+  id: job.id,
+  format: job.format,
+  filters: job.filters ? JSON.parse(job.filters) : {},
+  status: job.status,
+  progress: job.progress,
+  orderCount: job.order_count,
+  filename: job.filename,
+  error: job.error,
+  createdAt: job.created_at,
+  completedAt: job.completed_at,
+  expiresAt: job.expires_at,
+  downloadUrl: job.status === 'completed' && job.download_token
+    ? buildDownloadUrl(job)
+    : null
+});
+
+/**
+ * List the exports of an admin, newest first
+ * @param {number} adminId - Admin ID
+ * @param {number} limit - Maximum number of jobs
+ * @returns {Promise<Array>}
+ */
+const listExportJobs = async (adminId, limit = 50) => {
+  const [rows] = await db.query(
+    'SELECT * FROM export_jobs WHERE admin_id = ? ORDER BY created_at DESC, id DESC LIMIT ?',
+    [adminId, limit]
+  );
+
+  return rows.map(formatJob);
+};
+
+/**
+ * Get one export of an admin
+ * @param {number} adminId - Admin ID
+ * @param {number} jobId - Job ID
+ * @returns {Promise<Object|null>}
+ */
+const getExportJob = async (adminId, jobId) => {
+  const [rows] = await db.query(
+    'SELECT * FROM export_jobs WHERE id = ? AND admin_id = ?',
+    [jobId, adminId]
+  );
+
+  return rows.length > 0 ? formatJob(rows[0]) : null;
+};
+
+/**
+ * Find the completed, unexpired export behind a signed download token.
+ * Only the admin who requested the export can download it, so a leaked link is not enough.
+ * @param {number} adminId - Admin downloading the file
+ * @param {string} token - Download token ("<nonce>.<signature>")
+ * @returns {Promise<Object|null>} - { filename, filePath, mimeType }
+ */
+const findDownload = async (adminId, token) => {
+  const parsed = parseToken(token);
+  if (!parsed) {
+    return null;
+  }
+
+  const [rows] = await db.query(
+    "SELECT * FROM export_jobs WHERE download_token = ? AND admin_id = ? AND status = 'completed' AND expires_at > NOW()",
+    [parsed.nonce, adminId]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const job = rows[0];
+  const expected = Buffer.from(signToken(parsed.nonce, job), 'hex');
+  if (!crypto.timingSafeEqual(expected, Buffer.from(parsed.signature, 'hex'))) {
+    return null;
+  }
+
+  return {
+    filename: job.filename,
+    filePath: path.join(exportDir, job.filename),
+    mimeType: job.mime_type
+  };
+};
+
+/**
+ * Delete expired export files and mark their jobs as expired.
+ * Also removes stray export files that no job points to anymore.
+ */
+const sweepExpiredExports = async () => {
+  const [expired] = await db.query(
+    "SELECT id, filename FROM export_jobs WHERE status = 'completed' AND expires_at <= NOW()"
+  );
+
+  for (const job of expired) {
+    if (job.filename) {
+      fs.unlink(path.join(exportDir, job.filename), (err) => {
+        if (err && err.code !== 'ENOENT') console.error('Error deleting expired export:', err);
+      });
+    }
+
+    await db.query("UPDATE export_jobs SET status = 'expired', download_token = NULL WHERE id = ?", [job.id]);
+  }
+
+  // Old export files left behind by crashes
+  const cutoff = Date.now() - EXPORT_TTL_MINUTES * 60 * 1000;
+  for (const filename of fs.readdirSync(exportDir)) {
+    if (!filename.startsWith('orders_')) continue;
+
+    const filePath = path.join(exportDir, filename);
+    if (fs.statSync(filePath).mtimeMs < cutoff) {
+      const [jobs] = await db.query(
+        "SELECT id FROM export_jobs WHERE filename = ? AND status = 'completed'",
+        [filename]
+      );
+
+      if (jobs.length === 0) {
+        fs.unlinkSync(filePath);
+      }
+    }
+  }
+
+  if (expired.length > 0) {
+    console.log(`Removed ${expired.length} expired export(s)`);
+  }
+};
+
+/**
+ * Start the periodic cleanup of expired exports.
+ * Jobs interrupted by a restart are marked as failed.
+ */
+const startExportSweeper = () => {
+  db.query(
+    "UPDATE export_jobs SET status = 'failed', error = 'Interrupted by a server restart' WHERE status IN ('queued', 'running')"
+  ).catch(err => console.error('Error resetting export jobs:', err));
+
+  const sweep = () => sweepExpiredExports().catch(err => console.error('Error sweeping exports:', err));
+
+  sweep();
+  setInterval(sweep, EXPORT_SWEEP_MINUTES * 60 * 1000).unref();
+};
+
+module.exports = {
+  createExportJob,
+  listExportJobs,
+  getExportJob,
+  findDownload,
+  startExportSweeper
+};
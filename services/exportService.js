@@ -0,0 +1,920 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const fs = require('fs');
+const path = require('path');
+const { finished: onFinished } = require('stream');
+const { promisify } = require('util');
+const { format } = require('date-fns');
+const db = require('../config/db');
+const { buildOrderFilters, getOrderItems } = require('./orderQueries');
+
+const finished = promisify(onFinished);
+
+// Directory where prepared export files are written.
+// Kept out of every static path: files are only served through a download token.
+const exportDir = process.env.EXPORT_DIR || path.join(__dirname, '../storage/exports');
+if (!fs.existsSync(exportDir)) {
+  fs.mkdirSync(exportDir, { recursive: true });
+}
+
+// Map status to French
+const STATUS_LABELS = {
+  pending: 'En attente',
+  confirmed: 'Confirmée',
+  shipped: 'Expédiée',
+  delivered: 'Livrée',
+  returned: 'Retournée',
+  cancelled: 'Annulée'
+};
+
+// Product name with its variant, as shown in every export
+const itemLabel = (item) => {
+  if (!item.name_fr) {
+    return '';
+  }
+
+  return item.variant_name_fr ? `${item.name_fr} (${item.variant_name_fr})` : item.name_fr;
+};
+
+/**
+ * Render orders as an Excel workbook
+ * @param {Array} orders - Orders with their items
+ * @param {Object} stream - Writable stream (HTTP response or file)
+ */
+async function renderExcel(orders, stream) {
+  const workbook = new ExcelJS.Workbook();
+  
+  // Set document properties
+  workbook.creator = 'Beauty Shop';
+  workbook.created = new Date();
+  workbook.modified = new Date();
+  workbook.properties.date1904 = false;
+  
+  const worksheet = workbook.addWorksheet('Commandes');
+  
+  // Add logo if it exists
+  const logoPath = path.join(__dirname, '../public/logo.png');
+  if (fs.existsSync(logoPath)) {
+    const logo = workbook.addImage({
+      filename: logoPath,
+      extension: 'png',
+    });
+    
+    worksheet.addImage(logo, {
+      tl: { col: 0, row: 0 },
+      ext: { width: 100, height: 50 }
+    });
+    
+    // Add some empty rows for the logo
+    worksheet.addRow([]);
+    worksheet.addRow([]);
+    worksheet.addRow([]);
+  }
+  
+  // Add title
+  const titleRow = worksheet.addRow(['Rapport de Commandes']);
+  titleRow.font = { bold: true, size: 16, color: { argb: '3B82F6' } };
+  titleRow.height = 30;
+  worksheet.mergeCells('A' + (worksheet.rowCount) + ':G' + (worksheet.rowCount));
+  titleRow.alignment = { horizontal: 'center', vertical: 'middle' };
+  
+  // Add generation date
+  const dateRow = worksheet.addRow([`Généré le: ${format(new Date(), 'dd/MM/yyyy HH:mm')}`]);
+  dateRow.font = { size: 12 };
+  worksheet.mergeCells('A' + (worksheet.rowCount) + ':G' + (worksheet.rowCount));
+  dateRow.alignment = { horizontal: 'center', vertical: 'middle' };
+  
+  // Add empty row
+  worksheet.addRow([]);
+  
+  // Define columns with French headers
+  worksheet.columns = [
+    { header: 'N° Commande', key: 'id', width: 12 },
+    { header: 'Client', key: 'customer', width: 20 },
+    { header: 'Téléphone', key: 'phone', width: 15 },
+    { header: 'Adresse', key: 'address', width: 30 },
+    { header: 'Date', key: 'date', width: 20 },
+    { header: 'Statut', key: 'status', width: 15 },
+    { header: 'Articles', key: 'products', width: 40 }
+  ];
+  
+  // Style the header row
+  const headerRow = worksheet.getRow(worksheet.rowCount);
+  headerRow.eachCell((cell) => {
+    cell.font = { bold: true, color: { argb: 'FFFFFF' } };
+    cell.fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: '3B82F6' }  // Blue color
+    };
+    cell.border = {
+      top: { style: 'thin' },
+      left: { style: 'thin' },
+      bottom: { style: 'thin' },
+      right: { style: 'thin' }
+    };
+    cell.alignment = { horizontal: 'center', vertical: 'middle' };
+  });
+  headerRow.height = 20;
+  
+  // Add data
+  for (const order of orders) {
+    // Get product names for this order
+    const productNames = order.items
+      ? order.items.map(item => `${itemLabel(item)} (x${item.quantity})`).join(', ')
+      : '';
+    
+    const row = worksheet.addRow({
+      id: `#${order.id}`,
+      customer: order.name || 'N/A',
+      phone: order.phone || 'N/A',
+      address: order.address || 'N/A',
+      date: order.order_date ? format(new Date(order.order_date), 'dd/MM/yyyy HH:mm') : 'N/A',
+      status: STATUS_LABELS[order.status] || STATUS_LABELS.pending,
+      products: productNames
+    });
+    
+    // Style the rows
+    row.eachCell((cell) => {
+      cell.border = {
+        top: { style: 'thin', color: { argb: 'DDDDDD' } },
+        left: { style: 'thin', color: { argb: 'DDDDDD' } },
+        bottom: { style: 'thin', color: { argb: 'DDDDDD' } },
+        right: { style: 'thin', color: { argb: 'DDDDDD' } }
+      };
+    });
+    
+    // Color code the status
+    const statusCell = row.getCell('status');
+    switch (order.status) {
+      case 'pending':
+        statusCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFF5D7' } };
+        break;
+      case 'confirmed':
+      case 'shipped':
+        statusCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'D7E9FF' } };
+        break;
+      case 'delivered':
+        statusCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'D7F9E9' } };
+        break;
+      case 'returned':
+      case 'cancelled':
+        statusCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFD7D7' } };
+        break;
+    }
+  }
+  
+  // Add footer
+  const footerRow = worksheet.addRow(['Beauty Shop - Tous droits réservés']);
+  footerRow.font = { italic: true, color: { argb: '888888' } };
+  worksheet.mergeCells('A' + (worksheet.rowCount) + ':G' + (worksheet.rowCount));
+  footerRow.alignment = { horizontal: 'center' };
+  
+  // Write to the output stream
+  await workbook.xlsx.write(stream);
+  stream.end();
+}
+
+/**
+ * Render orders as a PDF report, one order per page
+ * @param {Array} orders - Orders with their items
+ * @param {Object} stream - Writable stream (HTTP response or file)
+ */
+async function renderPdf(orders, stream) {
+  // Create a PDF document with better margins for content
+  const doc = new PDFDocument({ 
+    margin: 50,
+    size: 'A4',
+    bufferPages: true,
+    info: {
+      Title: 'Rapport de Commandes',
+      Author: 'Beauty Shop',
+      Subject: 'Commandes',
+    }
+  });
+  
+  // Pipe the PDF to the output stream
+  doc.pipe(stream);
+  
+  // Color scheme
+  const colors = {
+    primary: '#1a56db',      // Deep blue
+    secondary: '#f59e0b',    // Amber
+    text: '#1f2937',         // Dark gray for text
+    textLight: '#4b5563',    // Medium gray for secondary text
+    lightBg: '#f3f4f6',      // Light gray background
+    success: '#059669',      // Green
+    danger: '#dc2626',       // Red
+    warning: '#d97706',      // Amber darker
+    border: '#e5e7eb',       // Light gray for borders
+    highlight: '#dbeafe',    // Light blue highlight
+  };
+  
+  // Status colors
+  const statusColors = {
+    pending: colors.warning,
+    confirmed: colors.primary,
+    shipped: colors.primary,
+    delivered: colors.success,
+    returned: colors.danger,
+    cancelled: colors.danger,
+  };
+  
+  // Register fonts (if available)
+  try {
+    doc.registerFont('NormalFont', 'Helvetica');
+    doc.registerFont('BoldFont', 'Helvetica-Bold');
+    doc.registerFont('ItalicFont', 'Helvetica-Oblique');
+  } catch (e) {
+    console.log('Using default fonts');
+  }
+  
+  // Add logo if it exists
+  const logoPath = path.join(__dirname, '../public/logo.png');
+  if (fs.existsSync(logoPath)) {
+    doc.image(logoPath, {
+      fit: [100, 80],
+      align: 'center',
+      valign: 'center'
+    });
+    doc.moveDown(5);
+  } else {
+    // If no logo, add some space at the top
+    doc.moveDown(2);
+  }
+  
+  // Document header section
+  const addDocumentHeader = () => {
+    // Title
+    doc.font('Helvetica-Bold').fontSize(22).fillColor(colors.primary)
+      .text('Rapport de Commandes', { align: 'center' });
+    doc.moveDown(0.5);
+    
+    // Generation date
+    doc.font('Helvetica').fontSize(11).fillColor(colors.textLight)
+      .text(`Généré le: ${format(new Date(), 'dd/MM/yyyy HH:mm')}`, { align: 'center' });
+    
+    // Horizontal line
+    doc.moveDown(1);
+    doc.moveTo(50, doc.y)
+      .lineTo(doc.page.width - 50, doc.y)
+      .strokeColor(colors.border)
+      .lineWidth(1)
+      .stroke();
+    doc.moveDown(1.5);
+  };
+  
+  // Add document header
+  addDocumentHeader();
+  
+  // Process each order - one order per page
+  orders.forEach((order, index) => {
+    // Start first order on first page, others on new pages
+    if (index > 0) {
+      doc.addPage();
+    }
+    
+    // Order title with box
+    const orderY = doc.y;
+    doc.rect(50, orderY, doc.page.width - 100, 32)
+      .fill(colors.highlight);
+    
+    // Order number and status
+    doc.fillColor(colors.primary).font('Helvetica-Bold').fontSize(16)
+      .text(`Commande #${order.id}`, 60, orderY + 8);
+    
+    // Status indicator
+    const status = STATUS_LABELS[order.status] ? order.status : 'pending';
+    const statusText = STATUS_LABELS[status];
+    const statusWidth = doc.widthOfString(statusText) + 16;
+    
+    doc.rect(doc.page.width - 60 - statusWidth, orderY + 6, statusWidth, 20)
+      .fill(statusColors[status]);
+    doc.fillColor('#FFFFFF').fontSize(11)
+      .text(statusText, doc.page.width - 60 - statusWidth + 8, orderY + 10);
+    
+    doc.moveDown(1.5);
+    
+    // Customer section with improved layout
+    doc.font('Helvetica-Bold').fontSize(14).fillColor(colors.primary)
+      .text('Informations Client', doc.page.width - 545, doc.y, { 
+        width: 200,
+        align: 'left'
+      });
+    doc.moveDown(0.5);
+    
+    // Create a grid layout for customer info
+    const startY = doc.y;
+    const lineHeight = 20;
+    
+    // First column
+    doc.font('Helvetica-Bold').fontSize(11).fillColor(colors.text)
+      .text('Client:', 50, startY);
+    doc.font('Helvetica').fillColor(colors.textLight)
+      .text(order.name || 'N/A', 150, startY);
+    
+    doc.font('Helvetica-Bold').fillColor(colors.text)
+      .text('Téléphone:', 50, startY + lineHeight);
+    doc.font('Helvetica').fillColor(colors.textLight)
+      .text(order.phone || 'N/A', 150, startY + lineHeight);
+    
+    // Second column
+    doc.font('Helvetica-Bold').fillColor(colors.text)
+      .text('Adresse:', 300, startY);
+    doc.font('Helvetica').fillColor(colors.textLight)
+      .text(order.address || 'N/A', 380, startY, {
+        width: doc.page.width - 380 - 50,
+        height: lineHeight * 2
+      });
+    
+    doc.font('Helvetica-Bold').fillColor(colors.text)
+      .text('Date:', 300, startY + lineHeight);
+    doc.font('Helvetica').fillColor(colors.textLight)
+      .text(format(new Date(order.order_date), 'dd/MM/yyyy HH:mm'), 380, startY + lineHeight);
+    
+    doc.moveDown(3);
+    
+    // Order items section
+    doc.font('Helvetica-Bold').fontSize(14).fillColor(colors.primary)
+      .text('Détail des Articles', doc.page.width - 545, doc.y, { 
+        width: 200,
+        align: 'left'
+      });
+    doc.moveDown(0.5);
+    
+    // Items table
+    if (order.items && order.items.length > 0) {
+      // Table layout configuration
+      const tableTop = doc.y;
+      const tableLeft = 50;
+      const tableWidth = doc.page.width - 100;
+      const colWidths = [40, 230, 70, 70, 80]; // Width for each column
+      
+      // Draw table header background
+      doc.rect(tableLeft, tableTop, tableWidth, 25)
+        .fill(colors.primary);
+      
+      // Draw header text
+      let xPos = tableLeft + 10;
+      doc.fillColor('#FFFFFF').font('Helvetica-Bold').fontSize(11);
+      
+      ['#', 'Article', 'Quantité', 'Prix', 'Total'].forEach((header, i) => {
+        const colWidth = colWidths[i];
+        doc.text(header, xPos, tableTop + 8, {
+          width: colWidth - 10,
+          align: i === 0 || i === 1 ? 'left' : 'right'
+        });
+        xPos += colWidth;
+      });
+      
+      // Draw rows
+      let yPos = tableTop + 25;
+      let total = 0;
+      
+      order.items.forEach((item, i) => {
+        const price = parseFloat(item.price) || 0;
+        const quantity = parseInt(item.quantity) || 0;
+        const subtotal = price * quantity;
+        total += subtotal;
+        
+        // Row background (alternating colors)
+        if (i % 2 === 0) {
+          doc.rect(tableLeft, yPos, tableWidth, 25)
+            .fillOpacity(0.1)
+            .fill(colors.lightBg)
+            .fillOpacity(1);
+        }
+        
+        // Draw row content
+        xPos = tableLeft + 10;
+        doc.fillColor(colors.text).font('Helvetica').fontSize(10);
+        
+        // Item number
+        doc.text((i + 1).toString(), xPos, yPos + 8, { width: colWidths[0] - 10 });
+        xPos += colWidths[0];
+        
+        // Product name (truncate if too long)
+        const productName = itemLabel(item) || 'Article inconnu';
+        doc.text(productName, xPos, yPos + 8, { 
+          width: colWidths[1] - 10,
+          ellipsis: true
+        });
+        xPos += colWidths[1];
+        
+        // Quantity (right aligned)
+        doc.text(quantity.toString(), xPos, yPos + 8, { 
+          width: colWidths[2] - 10,
+          align: 'right'
+        });
+        xPos += colWidths[2];
+        
+        // Price (right aligned)
+        doc.text(`${price.toFixed(2)} MAD`, xPos, yPos + 8, { 
+          width: colWidths[3] - 10,
+          align: 'right'
+        });
+        xPos += colWidths[3];
+        
+        // Subtotal (right aligned)
+        doc.text(`${subtotal.toFixed(2)} MAD`, xPos, yPos + 8, { 
+          width: colWidths[4] - 10,
+          align: 'right'
+        });
+        
+        // Move to next row
+        yPos += 25;
+      });
+      
+      // Table bottom border
+      doc.moveTo(tableLeft, yPos)
+        .lineTo(tableLeft + tableWidth, yPos)
+        .strokeColor(colors.border)
+        .lineWidth(1)
+        .stroke();
+      
+      // Total row
+      doc.fillColor(colors.primary).font('Helvetica-Bold').fontSize(12);
+      doc.text('Total:', tableLeft + tableWidth - colWidths[4] - colWidths[3], yPos + 15, {
+        width: colWidths[3],
+        align: 'right'
+      });
+      
+      doc.text(`${total.toFixed(2)} MAD`, tableLeft + tableWidth - colWidths[4], yPos + 15, {
+        width: colWidths[4] - 10,
+        align: 'right'
+      });
+    } else {
+      doc.font('Helvetica-Oblique').fontSize(11).fillColor(colors.textLight);
+      doc.text('Aucun article trouvé pour cette commande');
+    }
+    
+    // Footer with line and company info
+    const footerY = doc.page.height - 50;
+    doc.moveTo(50, footerY)
+      .lineTo(doc.page.width - 50, footerY)
+      .strokeColor(colors.border)
+      .lineWidth(0.5)
+      .stroke();
+    
+    doc.font('Helvetica').fontSize(9).fillColor(colors.textLight)
+      .text('SWIBI Collection - Tous droits réservés', 10, footerY + 10, { 
+        align: 'center',
+        width: doc.page.width
+      });
+    
+    // Add page numbers
+    doc.text(`Page ${index + 1} sur ${orders.length}`, 0, footerY + 25, {
+      align: 'center',
+      width: doc.page.width
+    });
+  });
+  
+  // Finalize PDF
+  doc.end();
+}
+
+/**
+ * Render orders as an HTML document that Word can open
+ * @param {Array} orders - Orders with their items
+ * @param {Object} stream - Writable stream (HTTP response or file)
+ */
+async function renderWord(orders, stream) {
+  // Base64 encoded logo
+  let logoHtml = '';
+  const logoPath = path.join(__dirname, '../public/logo.png');
+  
+  if (fs.existsSync(logoPath)) {
+    // Convert logo to base64
+    const logoData = fs.readFileSync(logoPath);
+    const logoBase64 = Buffer.from(logoData).toString('base64');
+    logoHtml = `<img src="data:image/png;base64,${logoBase64}" style="height: 80px; display: block; margin: 0 auto;">`;
+  }
+  
+  // Create an HTML document that Word can open with styling matching the PDF
+  let html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8" />
+      <title>Rapport de Commandes</title>
+      <style>
+        body { font-family: Arial, sans-serif; margin: 50px; color: #1f2937; }
+        .logo-container { text-align: center; margin-bottom: 30px; }
+        h1 { text-align: center; color: #1a56db; font-size: 22px; margin-bottom: 10px; }
+        h2 { color: #1a56db; font-size: 16px; margin-top: 15px; margin-bottom: 10px; }
+        p.date { text-align: center; color: #4b5563; font-size: 11px; margin-bottom: 30px; }
+        .divider { border-bottom: 1px solid #e5e7eb; margin: 20px 0; }
+        
+        /* Table styles matching PDF */
+        table { width: 100%; border-collapse: collapse; margin: 15px 0 25px 0; }
+        th { 
+          background-color: #1a56db; 
+          color: white; 
+          font-weight: bold; 
+          text-align: center;
+          padding: 8px;
+          border: 1px solid #1a56db;
+        }
+        td { 
+          border: 1px solid #e5e7eb; 
+          padding: 8px; 
+          text-align: left;
+        }
+        tr:nth-child(even) { background-color: #f3f4f6; }
+        
+        /* Order styles */
+        .order-container { margin-bottom: 40px; }
+        .order-title-box { 
+          background-color: #dbeafe; 
+          padding: 8px; 
+          margin-bottom: 15px;
+          display: flex;
+          justify-content: space-between;
+        }
+        .order-id { font-size: 16px; font-weight: bold; color: #1a56db; }
+        .order-details { 
+          display: grid; 
+          grid-template-columns: 1fr 1fr; 
+          grid-gap: 10px;
+          margin-bottom: 20px;
+        }
+        .detail-label { font-weight: bold; color: #1f2937; }
+        .detail-value { color: #4b5563; }
+        
+        /* Status colors */
+        .status { 
+          display: inline-block; 
+          padding: 5px 10px; 
+          color: white; 
+          font-size: 11px; 
+          border-radius: 3px;
+        }
+        .status-pending { background-color: #f59e0b; }
+        .status-confirmed { background-color: #1a56db; }
+        .status-shipped { background-color: #1a56db; }
+        .status-delivered { background-color: #059669; }
+        .status-returned { background-color: #dc2626; }
+        .status-cancelled { background-color: #dc2626; }
+        
+        /* Total row */
+        .total-row td { 
+          font-weight: bold; 
+          background-color: #f9fafb;
+        }
+        .price-column { text-align: right; }
+        
+        /* Footer */
+        .footer { 
+          text-align: center; 
+          font-size: 9px; 
+          color: #4b5563; 
+          margin-top: 30px;
+          padding-top: 10px;
+          border-top: 0.5px solid #e5e7eb;
+        }
+        .page-number {
+          text-align: center;
+          font-size: 9px;
+          color: #4b5563;
+          margin-top: 5px;
+        }
+        .page-break { page-break-before: always; }
+      </style>
+    </head>
+    <body>
+      <div class="logo-container">
+        ${logoHtml}
+      </div>
+      <h1>Rapport de Commandes</h1>
+      <p class="date">Généré le: ${format(new Date(), 'dd/MM/yyyy HH:mm')}</p>
+      
+      <div class="divider"></div>
+  `;
+  
+  // Add each order - matching PDF layout
+  orders.forEach((order, index) => {
+    try {
+      // Add page break after first order
+      if (index > 0) {
+        html += `<div class="page-break"></div>`;
+      }
+      
+      const orderDate = format(new Date(order.order_date), 'dd/MM/yyyy HH:mm');
+      
+      // Map status to French
+      const status = STATUS_LABELS[order.status] ? order.status : 'pending';
+      const statusText = STATUS_LABELS[status];
+      const statusClass = `status-${status}`;
+      
+      html += `
+        <div class="order-container">
+          <div class="order-title-box">
+            <span class="order-id">Commande #${order.id}</span>
+            <span class="status ${statusClass}">${statusText}</span>
+          </div>
+          
+          <h2>Informations Client</h2>
+          <div class="order-details">
+            <div>
+              <p><span class="detail-label">Client:</span> <span class="detail-value">${order.name || 'N/A'}</span></p>
+              <p><span class="detail-label">Téléphone:</span> <span class="detail-value">${order.phone || 'N/A'}</span></p>
+            </div>
+            <div>
+              <p><span class="detail-label">Adresse:</span> <span class="detail-value">${order.address || 'N/A'}</span></p>
+              <p><span class="detail-label">Date:</span> <span class="detail-value">${orderDate}</span></p>
+            </div>
+          </div>
+          
+          <h2>Détail des Articles</h2>
+      `;
+      
+      // Add items table if there are items
+      if (order.items && order.items.length > 0) {
+        html += `
+          <table>
+            <thead>
+              <tr>
+                <th style="width: 40px;">#</th>
+                <th style="width: 230px;">Article</th>
+                <th style="width: 70px;">Quantité</th>
+                <th style="width: 70px;">Prix</th>
+                <th style="width: 80px;">Total</th>
+              </tr>
+            </thead>
+            <tbody>
+        `;
+        
+        // Add item rows with alternating backgrounds
+        let total = 0;
+        order.items.forEach((item, idx) => {
+          const price = parseFloat(item.price) || 0;
+          const quantity = parseInt(item.quantity) || 0;
+          const subtotal = price * quantity;
+          total += subtotal;
+          
+          const rowStyle = idx % 2 === 0 ? '' : 'background-color: #f3f4f6;';
+          
+          html += `
+            <tr style="${rowStyle}">
+              <td style="text-align: center;">${idx + 1}</td>
+              <td>${itemLabel(item) || 'Article inconnu'}</td>
+              <td style="text-align: right;">${quantity}</td>
+              <td class="price-column">${price.toFixed(2)} MAD</td>
+              <td class="price-column">${subtotal.toFixed(2)} MAD</td>
+            </tr>
+          `;
+        });
+        
+        // Add total row
+        html += `
+            <tr class="total-row">
+              <td colspan="4" style="text-align: right;">Total:</td>
+              <td class="price-column">${total.toFixed(2)} MAD</td>
+            </tr>
+          </tbody>
+        </table>
+        `;
+      } else {
+        html += `<p><em>Aucun article trouvé pour cette commande</em></p>`;
+      }
+      
+      // Add page footer
+      html += `
+        <div class="footer">
+          SWIBI Collection - Tous droits réservés
+        </div>
+        <div class="page-number">
+          Page ${index + 1} sur ${orders.length}
+        </div>
+      </div>
+      `;
+    } catch (error) {
+      console.error(`Error processing order ${order.id} in Word details:`, error);
+      html += `<p style="color: red;">Erreur lors du traitement de la commande ${order.id}: ${error.message}</p>`;
+    }
+  });
+  
+  // Close the HTML document
+  html += `
+    </body>
+    </html>
+  `;
+  
+  // Write the HTML content
+  stream.end(html);
+}
+
+
+// Text starting with one of these runs as a formula when the CSV is opened in a spreadsheet
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Phone numbers (+212 6...) and signed numbers start like formulas but are only read as numbers
+const PLAIN_NUMBER = /^[+-]?[\d\s.]+$/;
+
+// Text a spreadsheet would run as a formula
+const looksLikeFormula = (text) => FORMULA_START.test(text) && !PLAIN_NUMBER.test(text);
+
+// Quote a CSV value when it contains a separator, quote or line break.
+// Text that would run as a formula is prefixed with ' so it shows as typed.
+const csvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? format(value, 'yyyy-MM-dd HH:mm:ss') : String(value);
+  if (typeof value === 'string' && looksLikeFormula(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Undo the ' prefix csvValue puts before text that looks like a formula
+const fromCsvValue = (text) => (text.startsWith("'") && looksLikeFormula(text.slice(1)) ? text.slice(1) : text);
+
+/**
+ * Render orders as CSV, one row per order item.
+ * Starts with a UTF-8 BOM so Excel keeps Arabic names readable.
+ * @param {Array} orders - Orders with their items
+ * @param {Object} stream - Writable stream (HTTP response or file)
+ */
+async function renderCsv(orders, stream) {
+  const columns = [
+    'order_id', 'order_date', 'status', 'order_source', 'customer', 'phone', 'address',
+    'product_id', 'product_name_fr', 'product_name_ar', 'sku', 'variant_fr', 'variant_ar',
+    'quantity', 'unit_price', 'discount', 'price', 'line_total', 'order_total'
+  ];
+
+  stream.write('\uFEFF' + columns.join(',') + '\r\n');
+
+  for (const order of orders) {
+    const orderColumns = [
+      order.id,
+      order.order_date,
+      order.status,
+      order.order_source,
+      order.name,
+      order.phone,
+      order.address
+    ];
+
+    // Orders without items still get one row
+    const items = order.items && order.items.length > 0 ? order.items : [null];
+
+    for (const item of items) {
+      const itemColumns = item
+        ? [
+          item.product_id,
+          item.name_fr,
+          item.name_ar,
+          item.sku,
+          item.variant_name_fr,
+          item.variant_name_ar,
+          item.quantity,
+          item.unit_price !== null && item.unit_price !== undefined ? item.unit_price : item.price,
+          item.discount,
+          item.price,
+          ((parseFloat(item.price) || 0) * (parseInt(item.quantity) || 0)).toFixed(2)
+        ]
+        : Array(10).fill(null);
+
+      const row = [...orderColumns, ...itemColumns, order.total];
+      stream.write(row.map(csvValue).join(',') + '\r\n');
+    }
+  }
+
+  stream.end();
+}
+
+/**
+ * Render orders as JSON lines, one order (with its items) per line
+ * @param {Array} orders - Orders with their items
+ * @param {Object} stream - Writable stream (HTTP response or file)
+ */
+async function renderJsonLines(orders, stream) {
+  for (const order of orders) {
+    stream.write(JSON.stringify(order) + '\n');
+  }
+
+  stream.end();
+}
+
+// Supported export formats
+const EXPORT_FORMATS = {
+  excel: {
+    extension: 'xlsx',
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    render: renderExcel
+  },
+  pdf: {
+    extension: 'pdf',
+    mimeType: 'application/pdf',
+    render: renderPdf
+  },
+  word: {
+    extension: 'doc',
+    mimeType: 'application/msword',
+    render: renderWord
+  },
+  csv: {
+    extension: 'csv',
+    mimeType: 'text/csv; charset=utf-8',
+    render: renderCsv
+  },
+  jsonl: {
+    extension: 'jsonl',
+    mimeType: 'application/x-ndjson; charset=utf-8',
+    render: renderJsonLines
+  }
+};
+
+/**
+ * Check whether an export format is supported
+ * @param {string} exportFormat - Format name
+ * @returns {boolean}
+ */
+const isExportFormat = (exportFormat) => Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, exportFormat);
+
+/**
+ * Get the MIME type of an export file from its name
+ * @param {string} filename - Export file name
+ * @returns {string}
+ */
+const getExportMimeType = (filename) => {
+  const extension = path.extname(filename).slice(1);
+  const match = Object.values(EXPORT_FORMATS).find(entry => entry.extension === extension);
+
+  return match ? match.mimeType : 'application/octet-stream';
+};
+
+/**
+ * Fetch the orders to export, with their items
+ * @param {Object} filters - Filters for buildOrderFilters
+ * @param {Function} onProgress - Optional callback (loaded, total) after each order
+ * @returns {Promise<Array>}
+ */
+const fetchOrdersForExport = async (filters, onProgress = null) => {
+  const { where, params } = buildOrderFilters(filters);
+  const [orders] = await db.query(`SELECT * FROM orders ${where} ORDER BY order_date DESC`, params);
+
+  console.log(`Found ${orders.length} orders for export`);
+
+  for (let i = 0; i < orders.length; i++) {
+    orders[i].items = await getOrderItems(db, orders[i].id);
+
+    if (onProgress) {
+      onProgress(i + 1, orders.length);
+    }
+  }
+
+  return orders;
+};
+
+/**
+ * Stream an export as a download in the HTTP response
+ * @param {string} exportFormat - Format name
+ * @param {Array} orders - Orders with their items
+ * @param {Object} res - Express response
+ */
+const streamExport = async (exportFormat, orders, res) => {
+  const { extension, mimeType, render } = EXPORT_FORMATS[exportFormat];
+
+  res.setHeader('Content-Type', mimeType);
+  res.setHeader('Content-Disposition', `attachment; filename="commandes_${format(new Date(), 'yyyy-MM-dd')}.${extension}"`);
+
+  await render(orders, res);
+};
+
+/**
+ * Write an export to a file in the export directory
+ * @param {string} exportFormat - Format name
+ * @param {Array} orders - Orders with their items
+ * @returns {Promise<Object>} - { filename, filePath, mimeType }
+ */
+const writeExportFile = async (exportFormat, orders) => {
+  const { extension, mimeType, render } = EXPORT_FORMATS[exportFormat];
+
+  // Generate a unique filename
+  const timestamp = format(new Date(), 'yyyyMMdd_HHmmss');
+  const randomId = Math.random().toString(36).substring(2, 10);
+  const filename = `orders_${timestamp}_${randomId}.${extension}`;
+  const filePath = path.join(exportDir, filename);
+
+  const output = fs.createWriteStream(filePath);
+  await render(orders, output);
+  await finished(output);
+
+  return { filename, filePath, mimeType };
+};
+
+module.exports = {
+  exportDir,
+  STATUS_LABELS,
+  csvValue,
+  fromCsvValue,
+  isExportFormat,
+  getExportMimeType,
+  fetchOrdersForExport,
+  streamExport,
+  writeExportFile
+};
@@ -0,0 +1,433 @@
+// Default stock level at or below which an item counts as running low; 0 only alerts when out of stock
+const configuredThreshold = parseInt(process.env.LOW_STOCK_THRESHOLD);
+const LOW_STOCK_THRESHOLD = Number.isInteger(configuredThreshold) && configuredThreshold >= 0 ? configuredThreshold : 5;
+
+// Kinds of stock movement recorded in the ledger
+const MOVEMENT_TYPES = ['opening', 'sale', 'cancellation', 'return', 'order_edit', 'adjustment', 'restock', 'product_edit'];
+
+// Whether a stock change should alert the admins: once when the threshold is crossed,
+// and again when the last item goes, even if the threshold was crossed earlier
+const needsStockAlert = (stockBefore, stockAfter, threshold) =>
+  (stockBefore > threshold && stockAfter <= threshold) || (stockBefore > 0 && stockAfter <= 0);
+
+/**
+ * Record a stock movement in the ledger
+ * @param {Object} connection - MySQL connection (inside the transaction that moved the stock)
+ * @param {Object} movement - { productId, variantId, quantity, stockAfter, type, reason, orderId, admin }
+ */
+const recordMovement = async (connection, { productId, variantId = null, quantity, stockAfter, type, reason = null, orderId = null, admin = null }) => {
+  await connection.query(
+    `INSERT INTO inventory_movements
+      (product_id, variant_id, quantity, stock_after, type, reason, order_id, admin_id, admin_username)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [productId, variantId || null, quantity, stockAfter, type, reason || null, orderId || null,
+      admin ? admin.id : null, admin ? admin.username : null]
+  );
+};
+
+/**
+ * Group order lines by stock record (product or product variant)
+ * @param {Array} lines - Order lines ({ productId, variantId, quantity })
+ * @returns {Array} - One entry per stock record, sorted to lock rows in a stable order
+ */
+const groupLinesByStock = (lines) => {
+  const groups = new Map();
+
+  for (const line of lines) {
+    const key = `${line.productId}:${line.variantId || ''}`;
+    const group = groups.get(key);
+
+    if (group) {
+      group.quantity += line.quantity;
+    } else {
+      groups.set(key, {
+        productId: line.productId,
+        variantId: line.variantId || null,
+        productName: line.productName,
+        quantity: line.quantity
+      });
+    }
+  }
+
+  return [...groups.values()].sort((a, b) =>
+    a.productId - b.productId || (a.variantId || 0) - (b.variantId || 0)
+  );
+};
+
+/**
+ * Lock a stock record and read its current quantity and alert threshold
+ * @param {Object} connection - MySQL connection (inside a transaction)
+ * @param {Object} group - Stock record ({ productId, variantId })
+ * @returns {Promise<Object|null>} - { stock, threshold }, null if the record does not exist
+ */
+const lockStock = async (connection, group) => {
+  const [rows] = group.variantId
+    ? await connection.query(
+      `SELECT pv.stock, COALESCE(pv.low_stock_threshold, p.low_stock_threshold) as low_stock_threshold
+       FROM product_variants pv
+       JOIN products p ON pv.product_id = p.id
+       WHERE pv.id = ? AND pv.product_id = ?
+       FOR UPDATE`,
+      [group.variantId, group.productId]
+    )
+    : await connection.query(
+      'SELECT stock, low_stock_threshold FROM products WHERE id = ? FOR UPDATE',
+      [group.productId]
+    );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return {
+    stock: parseInt(rows[0].stock) || 0,
+    threshold: rows[0].low_stock_threshold !== null ? rows[0].low_stock_threshold : LOW_STOCK_THRESHOLD
+  };
+};
+
+/**
+ * Reserve stock for every order line.
+ * Nothing is deducted unless all lines can be fulfilled; the caller must
+ * roll back the transaction when lines are returned as unavailable.
+ * @param {Object} connection - MySQL connection (inside the order transaction)
+ * @param {Array} lines - Order lines ({ productId, variantId, productName, quantity })
+ * @param {Object} movement - Ledger details ({ type, orderId, admin, reason }), type defaults to sale
+ * @returns {Promise<Object>} - { unavailable, lowStock }: lines that cannot be fulfilled
+ *   and records that just fell to or below their low-stock threshold or ran out
+ */
+const reserveStock = async (connection, lines, movement = {}) => {
+  const groups = groupLinesByStock(lines);
+  const unavailable = [];
+  const levels = new Map();
+
+  for (const group of groups) {
+    const level = await lockStock(connection, group);
+    levels.set(group, level);
+
+    if (level === null || level.stock < group.quantity) {
+      unavailable.push({
+        productId: group.productId,
+        variantId: group.variantId,
+        productName: group.productName,
+        requested: group.quantity,
+        available: level ? level.stock : 0
+      });
+    }
+  }
+
+  if (unavailable.length > 0) {
+    return { unavailable, lowStock: [] };
+  }
+
+  const lowStock = [];
+
+  for (const group of groups) {
+    const [result] = group.variantId
+      ? await connection.query(
+        'UPDATE product_variants SET stock = stock - ? WHERE id = ? AND product_id = ? AND stock >= ?',
+        [group.quantity, group.variantId, group.productId, group.quantity]
+      )
+      : await connection.query(
+        'UPDATE products SET stock = stock - ? WHERE id = ? AND stock >= ?',
+        [group.quantity, group.productId, group.quantity]
+      );
+
+    // Rows are locked above, so this only happens if the record vanished
+    if (result.affectedRows === 0) {
+      unavailable.push({
+        productId: group.productId,
+        variantId: group.variantId,
+        productName: group.productName,
+        requested: group.quantity,
+        available: 0
+      });
+      continue;
+    }
+
+    const { stock, threshold } = levels.get(group);
+    const remaining = stock - group.quantity;
+
+    await recordMovement(connection, {
+      type: 'sale',
+      ...movement,
+      productId: group.productId,
+      variantId: group.variantId,
+      quantity: -group.quantity,
+      stockAfter: remaining
+    });
+
+    // Alert when the threshold is crossed or the stock runs out, not on every later order
+    if (needsStockAlert(stock, remaining, threshold)) {
+      lowStock.push({ productId: group.productId, variantId: group.variantId, stock: remaining, threshold });
+    }
+  }
+
+  return { unavailable, lowStock };
+};
+
+/**
+ * Put the stock held by order lines back
+ * @param {Object} connection - MySQL connection (inside a transaction)
+ * @param {Array} lines - Order lines ({ productId, variantId, quantity })
+ * @param {Object} movement - Ledger details ({ type, orderId, admin, reason }), type defaults to cancellation
+ */
+const restockLines = async (connection, lines, movement = {}) => {
+  for (const group of groupLinesByStock(lines)) {
+    if (group.variantId) {
+      await connection.query(
+        'UPDATE product_variants SET stock = stock + ? WHERE id = ? AND product_id = ?',
+        [group.quantity, group.variantId, group.productId]
+      );
+    } else {
+      await connection.query(
+        'UPDATE products SET stock = stock + ? WHERE id = ?',
+        [group.quantity, group.productId]
+      );
+    }
+
+    // Products or variants deleted since the order was placed have nothing to return to
+    const level = await lockStock(connection, group);
+    if (level === null) {
+      continue;
+    }
+
+    await recordMovement(connection, {
+      type: 'cancellation',
+      ...movement,
+      productId: group.productId,
+      variantId: group.variantId,
+      quantity: group.quantity,
+      stockAfter: level.stock
+    });
+  }
+};
+
+/**
+ * Apply a manual stock change to a product or variant
+ * @param {Object} connection - MySQL connection (inside a transaction)
+ * @param {Object} change - { productId, variantId, quantity, countedStock, type, reason, admin };
+ *   quantity is a signed change, countedStock the level found by a physical count
+ * @returns {Promise<Object>} - { error } ('not_found' or 'insufficient_stock'),
+ *   or { quantity, stock, threshold, lowStock } where lowStock tells whether the threshold was just crossed
+ *   or the stock just ran out
+ */
+const adjustStock = async (connection, { productId, variantId = null, quantity, countedStock, type = 'adjustment', reason = null, admin = null }) => {
+  const level = await lockStock(connection, { productId, variantId });
+
+  if (level === null) {
+    return { error: 'not_found' };
+  }
+
+  const change = countedStock !== undefined ? countedStock - level.stock : quantity;
+  const stockAfter = level.stock + change;
+
+  if (stockAfter < 0) {
+    return { error: 'insufficient_stock', stock: level.stock };
+  }
+
+  // A count that matches the shelf leaves nothing to record
+  if (change === 0) {
+    return { quantity: 0, stock: level.stock, threshold: level.threshold, lowStock: false };
+  }
+
+  if (variantId) {
+    await connection.query(
+      'UPDATE product_variants SET stock = ? WHERE id = ? AND product_id = ?',
+      [stockAfter, variantId, productId]
+    );
+  } else {
+    await connection.query('UPDATE products SET stock = ? WHERE id = ?', [stockAfter, productId]);
+  }
+
+  await recordMovement(connection, { productId, variantId, quantity: change, stockAfter, type, reason, admin });
+
+  return {
+    quantity: change,
+    stock: stockAfter,
+    threshold: level.threshold,
+    lowStock: needsStockAlert(level.stock, stockAfter, level.threshold)
+  };
+};
+
+/**
+ * Get the stock lines of an existing order
+ * @param {Object} connection - MySQL connection
+ * @param {number} orderId - Order ID
+ * @returns {Promise<Array>} - Lines ({ productId, variantId, productName, quantity })
+ */
+const getOrderStockLines = async (connection, orderId) => {
+  const [items] = await connection.query(`
+    SELECT oi.product_id, oi.variant_id, oi.quantity, p.name_fr
+    FROM order_items oi
+    LEFT JOIN products p ON oi.product_id = p.id
+    WHERE oi.order_id = ?
+  `, [orderId]);
+
+  return items.map(item => ({
+    productId: item.product_id,
+    variantId: item.variant_id || null,
+    productName: item.name_fr,
+    quantity: parseInt(item.quantity) || 0
+  }));
+};
+
+/**
+ * List the stock records at or below their low-stock threshold:
+ * variants, and products sold without variants.
+ * Variants without their own threshold use the product one, then LOW_STOCK_THRESHOLD.
+ * @param {Object} connection - MySQL connection or pool
+ * @returns {Promise<Array>} - ({ productId, variantId, productName, variantName, stock, threshold }), lowest stock first
+ */
+const getLowStockItems = async (connection) => {
+  const [rows] = await connection.query(`
+    SELECT * FROM (
+      SELECT
+        p.id as product_id, pv.id as variant_id, p.name_fr, pv.name_fr as variant_name_fr,
+        pv.hex_code as variant_hex, COALESCE(pv.image, p.image) as image, pv.stock,
+        COALESCE(pv.low_stock_threshold, p.low_stock_threshold, ?) as threshold
+      FROM product_variants pv
+      JOIN products p ON pv.product_id = p.id
+      UNION ALL
+      SELECT p.id, NULL, p.name_fr, NULL, NULL, p.image, p.stock, COALESCE(p.low_stock_threshold, ?)
+      FROM products p
+      WHERE NOT EXISTS (SELECT 1 FROM product_variants pv WHERE pv.product_id = p.id)
+    ) stock_levels
+    WHERE stock <= threshold
+    ORDER BY stock ASC, name_fr ASC
+  `, [LOW_STOCK_THRESHOLD, LOW_STOCK_THRESHOLD]);
+
+  return rows.map(row => ({
+    productId: row.product_id,
+    variantId: row.variant_id || null,
+    productName: row.name_fr,
+    variantName: row.variant_name_fr || null,
+    colorHex: row.variant_hex || null,
+    image: row.image,
+    stock: parseInt(row.stock) || 0,
+    threshold: parseInt(row.threshold) || 0
+  }));
+};
+
+/**
+ * Parse a low-stock threshold from a request
+ * @param {*} value - Submitted value; empty means "use the default"
+ * @returns {number|null|undefined} - Threshold, null for the default, undefined when invalid
+ */
+const parseThreshold = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const threshold = parseInt(value);
+  return Number.isInteger(threshold) && threshold >= 0 ? threshold : undefined;
+};
+
+/**
+ * Get the movements of a product or one of its variants, newest first
+ * @param {Object} connection - MySQL connection or pool
+ * @param {Object} record - { productId, variantId } (no variantId: the product-level stock)
+ * @param {Object} options - { limit, offset }
+ * @returns {Promise<Object>} - { movements, total }
+ */
+const getMovements = async (connection, { productId, variantId = null }, { limit = 50, offset = 0 } = {}) => {
+  const where = variantId
+    ? 'WHERE product_id = ? AND variant_id = ?'
+    : 'WHERE product_id = ? AND variant_id IS NULL';
+  const params = variantId ? [productId, variantId] : [productId];
+
+  const [countResult] = await connection.query(
+    `SELECT COUNT(*) as total FROM inventory_movements ${where}`,
+    params
+  );
+  const [movements] = await connection.query(
+    `SELECT * FROM inventory_movements ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+
+  return { movements, total: countResult[0].total };
+};
+
+/**
+ * Compare the stock of a product or variant with the sum of its ledger
+ * @param {Object} connection - MySQL connection or pool
+ * @param {Object} record - { productId, variantId }
+ * @returns {Promise<Object|null>} - { stock, ledgerStock, difference, ... }, null if the record does not exist
+ */
+const reconcileStock = async (connection, { productId, variantId = null }) => {
+  const [rows] = variantId
+    ? await connection.query('SELECT stock FROM product_variants WHERE id = ? AND product_id = ?', [variantId, productId])
+    : await connection.query('SELECT stock FROM products WHERE id = ?', [productId]);
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const [ledger] = await connection.query(
+    `SELECT COALESCE(SUM(quantity), 0) as ledger_stock, COUNT(*) as movement_count, MAX(created_at) as last_movement_at
+     FROM inventory_movements
+     WHERE product_id = ? AND ${variantId ? 'variant_id = ?' : 'variant_id IS NULL'}`,
+    variantId ? [productId, variantId] : [productId]
+  );
+
+  const stock = parseInt(rows[0].stock) || 0;
+  const ledgerStock = parseInt(ledger[0].ledger_stock) || 0;
+
+  return {
+    productId: parseInt(productId),
+    variantId: variantId ? parseInt(variantId) : null,
+    stock,
+    ledgerStock,
+    difference: stock - ledgerStock,
+    movementCount: ledger[0].movement_count,
+    lastMovementAt: ledger[0].last_movement_at
+  };
+};
+
+/**
+ * List every product and variant whose stock does not match its ledger
+ * @param {Object} connection - MySQL connection or pool
+ * @returns {Promise<Array>} - ({ productId, variantId, productName, variantName, stock, ledgerStock, difference })
+ */
+const getLedgerMismatches = async (connection) => {
+  const [rows] = await connection.query(`
+    SELECT * FROM (
+      SELECT p.id as product_id, NULL as variant_id, p.name_fr, NULL as variant_name_fr, p.stock,
+        (SELECT COALESCE(SUM(m.quantity), 0) FROM inventory_movements m
+         WHERE m.product_id = p.id AND m.variant_id IS NULL) as ledger_stock
+      FROM products p
+      UNION ALL
+      SELECT pv.product_id, pv.id, p.name_fr, pv.name_fr, pv.stock,
+        (SELECT COALESCE(SUM(m.quantity), 0) FROM inventory_movements m
+         WHERE m.product_id = pv.product_id AND m.variant_id = pv.id) as ledger_stock
+      FROM product_variants pv
+      JOIN products p ON pv.product_id = p.id
+    ) levels
+    WHERE stock <> ledger_stock
+    ORDER BY name_fr ASC
+  `);
+
+  return rows.map(row => ({
+    productId: row.product_id,
+    variantId: row.variant_id || null,
+    productName: row.name_fr,
+    variantName: row.variant_name_fr || null,
+    stock: parseInt(row.stock) || 0,
+    ledgerStock: parseInt(row.ledger_stock) || 0,
+    difference: (parseInt(row.stock) || 0) - (parseInt(row.ledger_stock) || 0)
+  }));
+};
+
+module.exports = {
+  LOW_STOCK_THRESHOLD,
+  MOVEMENT_TYPES,
+  recordMovement,
+  reserveStock,
+  restockLines,
+  adjustStock,
+  getOrderStockLines,
+  getLowStockItems,
+  parseThreshold,
+  getMovements,
+  reconcileStock,
+  getLedgerMismatches
+};
@@ -0,0 +1,279 @@
+const PDFDocument = require('pdfkit');
+const fs = require('fs');
+const path = require('path');
+const { format } = require('date-fns');
+const db = require('../config/db');
+const seller = require('../config/seller');
+
+const logoPath = path.join(__dirname, '../public/logo.png');
+
+// Font with Arabic glyphs; pdfkit's built-in fonts only cover Latin text.
+// Noto Naskh Arabic ships in public/fonts under the SIL Open Font License (OFL.txt).
+const arabicFontPath = process.env.INVOICE_FONT_PATH
+  || path.join(__dirname, '../public/fonts/NotoNaskhArabic-Regular.ttf');
+
+// Text that needs the Arabic font
+const ARABIC_TEXT = /[\u0600-\u06ff]/;
+
+// Color scheme shared with the order reports
+const colors = {
+  primary: '#1a56db',
+  text: '#1f2937',
+  textLight: '#4b5563',
+  lightBg: '#f3f4f6',
+  border: '#e5e7eb'
+};
+
+/**
+ * Make sure invoices can be rendered: Helvetica cannot draw Arabic names,
+ * so the Arabic font must be installed
+ * @throws {Error} - When the font file is missing
+ */
+const checkInvoiceFont = () => {
+  if (!fs.existsSync(arabicFontPath)) {
+    throw new Error(`Invoice font not found at ${arabicFontPath}; set INVOICE_FONT_PATH to a TTF font with Arabic glyphs`);
+  }
+};
+
+/**
+ * Find the invoice issued for an order
+ * @param {Object} connection - MySQL connection or pool
+ * @param {number} orderId - Order ID
+ * @returns {Promise<Object|null>} - Invoice row, null if the order was never invoiced
+ */
+const findInvoice = async (connection, orderId) => {
+  const [rows] = await connection.query('SELECT * FROM invoices WHERE order_id = ?', [orderId]);
+  return rows[0] || null;
+};
+
+/**
+ * Get the invoice of an order, issuing the next number the first time.
+ * Numbers are sequential per year and never reused.
+ * @param {Object} order - Order row
+ * @param {Object} totals - Order totals ({ subtotal, discountTotal, total })
+ * @returns {Promise<Object>} - Invoice row
+ */
+const getOrCreateInvoice = async (order, totals) => {
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    // Lock the order so two requests cannot issue two numbers for it
+    await connection.query('SELECT id FROM orders WHERE id = ? FOR UPDATE', [order.id]);
+
+    const existing = await findInvoice(connection, order.id);
+
+    if (existing) {
+      await connection.commit();
+      return existing;
+    }
+
+    const year = new Date().getFullYear();
+
+    await connection.query('INSERT IGNORE INTO invoice_sequences (year, last_number) VALUES (?, 0)', [year]);
+    const [sequence] = await connection.query(
+      'SELECT last_number FROM invoice_sequences WHERE year = ? FOR UPDATE',
+      [year]
+    );
+
+    const nextNumber = sequence[0].last_number + 1;
+    const invoiceNumber = `FAC-${year}-${String(nextNumber).padStart(5, '0')}`;
+
+    await connection.query('UPDATE invoice_sequences SET last_number = ? WHERE year = ?', [nextNumber, year]);
+    const [result] = await connection.query(
+      'INSERT INTO invoices (order_id, invoice_number, subtotal, discount_total, total) VALUES (?, ?, ?, ?, ?)',
+      [order.id, invoiceNumber, totals.subtotal, totals.discountTotal, totals.total]
+    );
+
+    await connection.commit();
+
+    const [invoice] = await db.query('SELECT * FROM invoices WHERE id = ?', [result.insertId]);
+    return invoice[0];
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+};
+
+// Format an amount in MAD
+const mad = (amount) => `${(parseFloat(amount) || 0).toFixed(2)} MAD`;
+
+/**
+ * Render an invoice PDF
+ * @param {Object} invoice - Invoice row
+ * @param {Object} order - Order row
+ * @param {Array} items - Items with line totals (getOrderItems + withLineTotals)
+ * @param {Object} totals - Order totals
+ * @param {Object} stream - Writable stream (HTTP response or file)
+ */
+const renderInvoice = (invoice, order, items, totals, stream) => {
+  checkInvoiceFont();
+
+  const doc = new PDFDocument({
+    margin: 50,
+    size: 'A4',
+    info: {
+      Title: `Facture ${invoice.invoice_number}`,
+      Author: seller.name,
+      Subject: `Commande #${order.id}`
+    }
+  });
+
+  doc.pipe(stream);
+
+  doc.registerFont('Arabic', arabicFontPath);
+
+  const pageWidth = doc.page.width;
+
+  // Header: logo on the left, invoice number on the right
+  if (fs.existsSync(logoPath)) {
+    doc.image(logoPath, 50, 40, { fit: [100, 60] });
+  }
+
+  doc.font('Helvetica-Bold').fontSize(22).fillColor(colors.primary)
+    .text('FACTURE', 300, 45, { width: pageWidth - 350, align: 'right' });
+  doc.font('Helvetica').fontSize(10).fillColor(colors.textLight)
+    .text(`N° ${invoice.invoice_number}`, 300, 75, { width: pageWidth - 350, align: 'right' })
+    .text(`Date: ${format(new Date(invoice.issued_at), 'dd/MM/yyyy')}`, { width: pageWidth - 350, align: 'right' })
+    .text(`Commande #${order.id} du ${format(new Date(order.order_date), 'dd/MM/yyyy')}`, { width: pageWidth - 350, align: 'right' });
+
+  // Seller and customer blocks
+  const blockTop = 140;
+
+  doc.font('Helvetica-Bold').fontSize(11).fillColor(colors.primary).text('Vendeur', 50, blockTop);
+  doc.font('Helvetica').fontSize(10).fillColor(colors.text);
+  [
+    seller.name,
+    seller.address,
+    seller.city,
+    seller.phone && `Tél: ${seller.phone}`,
+    seller.email
+  ].filter(Boolean).forEach(line => doc.text(line, 50, doc.y, { width: 220 }));
+
+  doc.font('Helvetica-Bold').fontSize(11).fillColor(colors.primary).text('Facturé à', 320, blockTop);
+  doc.fontSize(10).fillColor(colors.text);
+  [order.name, order.address, order.phone && `Tél: ${order.phone}`]
+    .filter(Boolean)
+    .forEach(line => doc.font(ARABIC_TEXT.test(line) ? 'Arabic' : 'Helvetica').text(line, 320, doc.y, { width: pageWidth - 370 }));
+
+  // Items table
+  const tableLeft = 50;
+  const tableWidth = pageWidth - 100;
+  const colWidths = [30, 205, 45, 75, 50, 90];
+  const headers = ['#', 'Article', 'Qté', 'Prix unit.', 'Remise', 'Total'];
+  let yPos = 250;
+
+  doc.rect(tableLeft, yPos, tableWidth, 22).fill(colors.primary);
+  doc.fillColor('#FFFFFF').font('Helvetica-Bold').fontSize(10);
+
+  let xPos = tableLeft + 5;
+  headers.forEach((header, i) => {
+    doc.text(header, xPos, yPos + 7, { width: colWidths[i] - 10, align: i < 2 ? 'left' : 'right' });
+    xPos += colWidths[i];
+  });
+
+  yPos += 22;
+
+  items.forEach((item, i) => {
+    const arabicName = item.name_ar
+      ? [item.name_ar, item.variant_name_ar].filter(Boolean).join(' - ')
+      : null;
+    const rowHeight = arabicName ? 36 : 22;
+
+    // Start a new page when the row would not fit
+    if (yPos + rowHeight > doc.page.height - 160) {
+      doc.addPage();
+      yPos = 50;
+    }
+
+    if (i % 2 === 1) {
+      doc.rect(tableLeft, yPos, tableWidth, rowHeight).fill(colors.lightBg);
+    }
+
+    const unitPrice = item.unit_price !== null && item.unit_price !== undefined ? item.unit_price : item.price;
+    const discount = parseFloat(item.discount) || 0;
+    const label = item.variant_name_fr ? `${item.name_fr} (${item.variant_name_fr})` : item.name_fr;
+
+    doc.fillColor(colors.text).font('Helvetica').fontSize(9);
+    xPos = tableLeft + 5;
+
+    doc.text(String(i + 1), xPos, yPos + 7, { width: colWidths[0] - 10 });
+    xPos += colWidths[0];
+
+    doc.text(label || 'Article inconnu', xPos, yPos + 7, { width: colWidths[1] - 10, ellipsis: true, lineBreak: false });
+    if (arabicName) {
+      doc.font('Arabic').fontSize(9)
+        .text(arabicName, xPos, yPos + 19, { width: colWidths[1] - 10, align: 'right', lineBreak: false });
+      doc.font('Helvetica').fontSize(9);
+    }
+    xPos += colWidths[1];
+
+    [
+      String(item.quantity),
+      mad(unitPrice),
+      discount > 0 ? `${discount}%` : '-',
+      mad(item.line_total)
+    ].forEach((value, offset) => {
+      const width = colWidths[offset + 2];
+      doc.text(value, xPos, yPos + 7, { width: width - 10, align: 'right' });
+      xPos += width;
+    });
+
+    yPos += rowHeight;
+  });
+
+  doc.moveTo(tableLeft, yPos).lineTo(tableLeft + tableWidth, yPos)
+    .strokeColor(colors.border).lineWidth(1).stroke();
+
+  // Totals
+  yPos += 15;
+  const labelX = tableLeft + tableWidth - 250;
+
+  [
+    ['Sous-total', mad(totals.subtotal)],
+    ['Remise', totals.discountTotal > 0 ? `-${mad(totals.discountTotal)}` : mad(0)]
+  ].forEach(([label, value]) => {
+    doc.font('Helvetica').fontSize(10).fillColor(colors.textLight)
+      .text(label, labelX, yPos, { width: 150, align: 'right' })
+      .text(value, labelX + 150, yPos, { width: 95, align: 'right' });
+    yPos += 16;
+  });
+
+  doc.rect(labelX + 40, yPos, 210, 24).fill(colors.primary);
+  doc.font('Helvetica-Bold').fontSize(11).fillColor('#FFFFFF')
+    .text('Total TTC', labelX, yPos + 7, { width: 150, align: 'right' })
+    .text(mad(totals.total), labelX + 150, yPos + 7, { width: 95, align: 'right' });
+
+  doc.font('Helvetica').fontSize(9).fillColor(colors.textLight)
+    .text('Paiement à la livraison.', 50, yPos + 45);
+
+  // Footer with the seller's legal identifiers, drawn inside the bottom margin
+  doc.page.margins.bottom = 0;
+  const footerY = doc.page.height - 70;
+  doc.moveTo(50, footerY).lineTo(pageWidth - 50, footerY)
+    .strokeColor(colors.border).lineWidth(0.5).stroke();
+
+  const legal = [
+    seller.name,
+    seller.ice && `ICE: ${seller.ice}`,
+    seller.rc && `RC: ${seller.rc}`
+  ].filter(Boolean).join(' - ');
+
+  doc.fontSize(8).fillColor(colors.textLight)
+    .text(legal, 50, footerY + 10, { width: pageWidth - 100, align: 'center' })
+    .text('Merci pour votre confiance', 50, footerY + 24, { width: pageWidth - 100, align: 'center' });
+
+  doc.end();
+};
+
+module.exports = {
+  ARABIC_TEXT,
+  arabicFontPath,
+  checkInvoiceFont,
+  findInvoice,
+  getOrCreateInvoice,
+  renderInvoice
+};
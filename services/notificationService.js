@@ -1,3 +1,5 @@
+const db = require('../config/db');
+
 /**
  * Send notification to all connected admin sockets
  * @param {Object} io - Socket.io instance
@@ -48,12 +50,14 @@ const notifyNewOrder = (io, adminSockets, order) => {
  * @param {Object} io - Socket.io instance
  * @param {Set} adminSockets - Set of admin socket IDs
  * @param {Object} product - Product object
- * @param {Object|null} color - Color object if applicable
+ * @param {Object|null} variant - Variant object if applicable
+ * @param {Object|null} level - { stock, threshold } after the change, if known
  */
-const notifyLowStock = (io, adminSockets, product, color = null) => {
-  const productName = product.name_fr;
-  const message = color 
-    ? `${productName} (${color.name_fr}) is out of stock` 
+const notifyLowStock = (io, adminSockets, product, variant = null, level = null) => {
+  const productName = variant ? `${product.name_fr} (${variant.name_fr})` : product.name_fr;
+  const stock = level ? level.stock : (variant ? variant.stock : product.stock);
+  const message = stock > 0
+    ? `${productName} is running low: ${stock} left${level ? ` (threshold ${level.threshold})` : ''}`
     : `${productName} is out of stock`;
   
   notifyAdmins(io, adminSockets, {
@@ -62,14 +66,47 @@ const notifyLowStock = (io, adminSockets, product, color = null) => {
     message: message,
     data: {
       product: product,
-      color: color
+      variant: variant,
+      stock: stock,
+      threshold: level ? level.threshold : null
     },
     timestamp: new Date().toISOString()
   });
 };
 
+/**
+ * Send a low stock notification for every product or variant that crossed its threshold
+ * @param {Object} io - Socket.io instance
+ * @param {Set} adminSockets - Set of admin socket IDs
+ * @param {Array} lowStock - Records ({ productId, variantId, stock, threshold })
+ */
+const notifyLowStockLevels = async (io, adminSockets, lowStock) => {
+  if (!io || !adminSockets || lowStock.length === 0) {
+    return;
+  }
+  
+  try {
+    for (const entry of lowStock) {
+      const [products] = await db.query('SELECT * FROM products WHERE id = ?', [entry.productId]);
+      if (products.length === 0) continue;
+      
+      let variant = null;
+      if (entry.variantId) {
+        const [variants] = await db.query('SELECT * FROM product_variants WHERE id = ?', [entry.variantId]);
+        variant = variants[0] || null;
+      }
+      
+      notifyLowStock(io, adminSockets, products[0], variant, entry);
+    }
+  } catch (err) {
+    // Alerts must never fail the request that triggered them
+    console.error('Error sending stock alerts:', err);
+  }
+};
+
 module.exports = {
   notifyAdmins,
   notifyNewOrder,
-  notifyLowStock
+  notifyLowStock,
+  notifyLowStockLevels
 };
\ No newline at end of file
@@ -0,0 +1,34 @@
+/**
+ * Record an admin edit of an order
+ * @param {Object} connection - MySQL connection (inside the edit transaction)
+ * @param {Object} change - { orderId, action, details, admin }
+ */
+const recordOrderChange = async (connection, { orderId, action, details = null, admin = null }) => {
+  await connection.query(
+    'INSERT INTO order_changes (order_id, action, details, admin_id, admin_username) VALUES (?, ?, ?, ?, ?)',
+    [orderId, action, details ? JSON.stringify(details) : null, admin ? admin.id : null, admin ? admin.username : null]
+  );
+};
+
+/**
+ * Get the edits made to an order, oldest first
+ * @param {Object} connection - MySQL connection or pool
+ * @param {number} orderId - Order ID
+ * @returns {Promise<Array>} - Changes with their details parsed
+ */
+const getOrderChanges = async (connection, orderId) => {
+  const [rows] = await connection.query(
+    'SELECT * FROM order_changes WHERE order_id = ? ORDER BY created_at ASC, id ASC',
+    [orderId]
+  );
+
+  return rows.map(row => ({
+    ...row,
+    details: row.details ? JSON.parse(row.details) : null
+  }));
+};
+
+module.exports = {
+  recordOrderChange,
+  getOrderChanges
+};
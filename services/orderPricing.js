@@ -0,0 +1,160 @@
+/**
+ * Round an amount to 2 decimals (MAD cents)
+ * @param {number} value - Amount to round
+ * @returns {number} - Rounded amount
+ */
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Apply a percentage discount to a list price
+ * @param {number} price - List price
+ * @param {number} discount - Discount in percent (0-100)
+ * @returns {number} - Final unit price
+ */
+const applyDiscount = (price, discount) => {
+  const rate = Math.min(Math.max(discount || 0, 0), 100);
+  return roundPrice(price * (1 - rate / 100));
+};
+
+/**
+ * Price cart items from the catalog instead of trusting the client.
+ * The price sent by the storefront is only compared against the computed one.
+ * A variant with its own price replaces the product price; the product discount applies to both.
+ * @param {Object} connection - MySQL connection (inside the order transaction)
+ * @param {Array} items - Cart items ({ productId, variantId, quantity, price }); colorId is read
+ *   as variantId for older storefronts, colors having become variants with the same IDs
+ * @returns {Promise<Object>} - Priced lines, order totals, invalid lines and price changes
+ */
+const priceOrderItems = async (connection, items) => {
+  const lines = [];
+  const invalid = [];
+  const priceChanges = [];
+
+  for (let index = 0; index < items.length; index++) {
+    const item = items[index];
+    const quantity = parseInt(item.quantity);
+
+    if (!item.productId || !Number.isInteger(quantity) || quantity <= 0) {
+      invalid.push({ index, productId: item.productId || null, reason: 'Invalid product or quantity' });
+      continue;
+    }
+
+    const [products] = await connection.query(
+      'SELECT id, name_fr, price, discount FROM products WHERE id = ?',
+      [item.productId]
+    );
+
+    if (products.length === 0) {
+      invalid.push({ index, productId: item.productId, reason: 'Product not found' });
+      continue;
+    }
+
+    const variantId = item.variantId || item.colorId || null;
+    let variant = null;
+
+    if (variantId) {
+      const [variants] = await connection.query(
+        'SELECT id, price FROM product_variants WHERE id = ? AND product_id = ?',
+        [variantId, item.productId]
+      );
+
+      if (variants.length === 0) {
+        invalid.push({ index, productId: item.productId, variantId, reason: 'Variant not found for this product' });
+        continue;
+      }
+
+      variant = variants[0];
+    }
+
+    const product = products[0];
+    const listPrice = variant && variant.price !== null ? variant.price : product.price;
+    const unitPrice = roundPrice(parseFloat(listPrice) || 0);
+    const discount = parseFloat(product.discount) || 0;
+    const finalPrice = applyDiscount(unitPrice, discount);
+
+    // Flag carts whose displayed price no longer matches the catalog
+    const submittedPrice = parseFloat(item.price);
+    if (!Number.isNaN(submittedPrice) && Math.abs(submittedPrice - finalPrice) >= 0.01) {
+      priceChanges.push({
+        index,
+        productId: product.id,
+        variantId: variant ? variant.id : null,
+        submittedPrice,
+        price: finalPrice
+      });
+    }
+
+    lines.push({
+      productId: product.id,
+      variantId: variant ? variant.id : null,
+      productName: product.name_fr,
+      quantity,
+      unitPrice,
+      discount,
+      price: finalPrice,
+      lineTotal: roundPrice(finalPrice * quantity)
+    });
+  }
+
+  const subtotal = roundPrice(lines.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0));
+  const total = roundPrice(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+
+  return {
+    lines,
+    subtotal,
+    discountTotal: roundPrice(subtotal - total),
+    total,
+    invalid,
+    priceChanges
+  };
+};
+
+/**
+ * Insert priced lines for an order
+ * @param {Object} connection - MySQL connection (inside the order transaction)
+ * @param {number} orderId - Order ID
+ * @param {Array} lines - Lines returned by priceOrderItems
+ */
+const insertOrderLines = async (connection, orderId, lines) => {
+  for (const line of lines) {
+    await connection.query(
+      'INSERT INTO order_items (order_id, product_id, quantity, unit_price, discount, price, variant_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [orderId, line.productId, line.quantity, line.unitPrice, line.discount, line.price, line.variantId]
+    );
+  }
+};
+
+/**
+ * Recompute the stored totals of an order from its lines
+ * @param {Object} connection - MySQL connection (inside the edit transaction)
+ * @param {number} orderId - Order ID
+ * @returns {Promise<Object>} - { subtotal, discountTotal, total }
+ */
+const recalculateOrderTotals = async (connection, orderId) => {
+  const [rows] = await connection.query(`
+    SELECT
+      COALESCE(SUM(COALESCE(unit_price, price) * quantity), 0) as subtotal,
+      COALESCE(SUM(price * quantity), 0) as total
+    FROM order_items
+    WHERE order_id = ?
+  `, [orderId]);
+
+  const subtotal = roundPrice(parseFloat(rows[0].subtotal) || 0);
+  const total = roundPrice(parseFloat(rows[0].total) || 0);
+  const discountTotal = roundPrice(subtotal - total);
+
+  await connection.query(
+    'UPDATE orders SET subtotal = ?, discount_total = ?, total = ? WHERE id = ?',
+    [subtotal, discountTotal, total, orderId]
+  );
+
+  return { subtotal, discountTotal, total };
+};
+
+module.exports = {
+  roundPrice,
+  applyDiscount,
+  priceOrderItems,
+  insertOrderLines,
+  recalculateOrderTotals
+};
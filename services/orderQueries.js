@@ -0,0 +1,176 @@
+const { roundPrice } = require('./orderPricing');
+
+// Sort options accepted by the order listing
+const ORDER_SORTS = {
+  newest: 'order_date DESC',
+  oldest: 'order_date ASC',
+  total_desc: 'total DESC',
+  total_asc: 'total ASC',
+  name_asc: 'name ASC',
+  name_desc: 'name DESC'
+};
+
+/**
+ * Build the WHERE clause shared by the order listing and the exports
+ * @param {Object} filters - { orderId, status, startDate, endDate, orderSource, detailsComplete, search }
+ * @param {string} alias - Optional table alias for the orders table
+ * @returns {Object} - { where, params } where `where` is empty when no filter applies
+ */
+const buildOrderFilters = (filters = {}, alias = '') => {
+  const { orderId, status, startDate, endDate, orderSource, detailsComplete, search } = filters;
+  const column = (name) => (alias ? `${alias}.${name}` : name);
+  const whereClauses = [];
+  const params = [];
+
+  // Add filter by specific order ID if provided
+  if (orderId) {
+    whereClauses.push(`${column('id')} = ?`);
+    params.push(orderId);
+  }
+
+  // Add status filter if provided
+  if (status && status !== 'all') {
+    whereClauses.push(`${column('status')} = ?`);
+    params.push(status);
+  }
+
+  // Add date range filters if provided
+  if (startDate) {
+    whereClauses.push(`${column('order_date')} >= ?`);
+    params.push(`${startDate} 00:00:00`);
+  }
+
+  if (endDate) {
+    whereClauses.push(`${column('order_date')} <= ?`);
+    params.push(`${endDate} 23:59:59`);
+  }
+
+  // Add order source filter if provided
+  if (orderSource && orderSource !== 'all') {
+    whereClauses.push(`${column('order_source')} = ?`);
+    params.push(orderSource);
+  }
+
+  // Only orders whose customer details are (in)complete
+  if (detailsComplete === 'true' || detailsComplete === 'false') {
+    whereClauses.push(`${column('details_complete')} = ?`);
+    params.push(detailsComplete === 'true');
+  }
+
+  // Free-text search over customer details, or the order number itself
+  if (search && search.trim() !== '') {
+    const pattern = `%${search.trim()}%`;
+    const searchClauses = [
+      `${column('name')} LIKE ?`,
+      `${column('phone')} LIKE ?`,
+      `${column('address')} LIKE ?`
+    ];
+    params.push(pattern, pattern, pattern);
+
+    const orderNumber = search.trim().replace(/^#/, '');
+    if (/^\d+$/.test(orderNumber)) {
+      searchClauses.push(`${column('id')} = ?`);
+      params.push(parseInt(orderNumber));
+    }
+
+    whereClauses.push(`(${searchClauses.join(' OR ')})`);
+  }
+
+  return {
+    where: whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '',
+    params
+  };
+};
+
+/**
+ * Read the order filters from a query string or request body
+ * @param {Object} source - req.query or req.body
+ * @returns {Object} - Filters for buildOrderFilters
+ */
+const parseOrderFilters = (source = {}) => ({
+  orderId: source.orderId,
+  status: source.status,
+  startDate: source.startDate,
+  endDate: source.endDate,
+  orderSource: source.order_source,
+  detailsComplete: source.details_complete !== undefined ? String(source.details_complete) : undefined,
+  search: source.search
+});
+
+/**
+ * Get the items of an order with their product and variant details
+ * @param {Object} connection - MySQL connection or pool
+ * @param {number} orderId - Order ID
+ * @returns {Promise<Array>} - Items, using the variant image when there is one;
+ *   variant fields are also returned under their former color_* names,
+ *   which admin clients written before variants still read
+ */
+const getOrderItems = async (connection, orderId) => {
+  const [orderItems] = await connection.query(`
+    SELECT 
+      oi.id, oi.order_id, oi.product_id, oi.quantity, oi.unit_price, oi.price, oi.discount,
+      p.name_fr, p.name_ar, p.image,
+      pv.id as variant_id, pv.sku, pv.name_fr as variant_name_fr, pv.name_ar as variant_name_ar, 
+      pv.hex_code as variant_hex, pv.image as variant_image,
+      pv.id as color_id, pv.name_fr as color_name_fr, pv.name_ar as color_name_ar,
+      pv.hex_code as color_hex, pv.image as color_image
+    FROM order_items oi
+    JOIN products p ON oi.product_id = p.id
+    LEFT JOIN product_variants pv ON oi.variant_id = pv.id
+    WHERE oi.order_id = ?
+  `, [orderId]);
+
+  // Process items to use variant image if available
+  return orderItems.map(item => {
+    // If there's a variant with an image, use that image instead of the product image
+    if (item.variant_image) {
+      item.image = item.variant_image;
+    }
+
+    return item;
+  });
+};
+
+/**
+ * Compute per-line and order totals from order items
+ * @param {Array} items - Items returned by getOrderItems
+ * @returns {Object} - { items, totals } with line_total added to every item
+ */
+const withLineTotals = (items) => {
+  let subtotal = 0;
+  let total = 0;
+  let itemCount = 0;
+
+  const lines = items.map(item => {
+    const price = parseFloat(item.price) || 0;
+    const unitPrice = item.unit_price !== null && item.unit_price !== undefined
+      ? parseFloat(item.unit_price) || 0
+      : price;
+    const quantity = parseInt(item.quantity) || 0;
+    const lineTotal = roundPrice(price * quantity);
+
+    subtotal += unitPrice * quantity;
+    total += lineTotal;
+    itemCount += quantity;
+
+    return { ...item, line_total: lineTotal };
+  });
+
+  return {
+    items: lines,
+    totals: {
+      subtotal: roundPrice(subtotal),
+      discountTotal: roundPrice(subtotal - total),
+      total: roundPrice(total),
+      itemCount
+    }
+  };
+};
+
+module.exports = {
+  ORDER_SORTS,
+  buildOrderFilters,
+  parseOrderFilters,
+  getOrderItems,
+  withLineTotals
+};
@@ -0,0 +1,65 @@
+// Every status an order can be in
+const ORDER_STATUSES = ['pending', 'confirmed', 'shipped', 'delivered', 'returned', 'cancelled'];
+
+// Allowed moves from each status; returned and cancelled are final
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['shipped', 'delivered', 'cancelled'],
+  shipped: ['delivered', 'returned', 'cancelled'],
+  delivered: ['returned'],
+  returned: [],
+  cancelled: []
+};
+
+// Statuses in which the order holds its items in stock
+const STOCK_HOLDING_STATUSES = ['confirmed', 'shipped', 'delivered'];
+
+// Statuses in which the items go back to stock
+const STOCK_RETURNING_STATUSES = ['returned', 'cancelled'];
+
+/**
+ * Check whether an order may move from one status to another
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Requested status
+ * @returns {boolean}
+ */
+const canTransition = (fromStatus, toStatus) => {
+  return (STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+};
+
+/**
+ * Record a status change in the order history
+ * @param {Object} connection - MySQL connection (inside the status transaction)
+ * @param {Object} change - { orderId, fromStatus, toStatus, admin, note }
+ */
+const recordStatusChange = async (connection, { orderId, fromStatus = null, toStatus, admin = null, note = null }) => {
+  await connection.query(
+    'INSERT INTO order_status_history (order_id, from_status, to_status, admin_id, admin_username, note) VALUES (?, ?, ?, ?, ?, ?)',
+    [orderId, fromStatus, toStatus, admin ? admin.id : null, admin ? admin.username : null, note || null]
+  );
+};
+
+/**
+ * Get the status history of an order, oldest first
+ * @param {Object} connection - MySQL connection or pool
+ * @param {number} orderId - Order ID
+ * @returns {Promise<Array>}
+ */
+const getStatusHistory = async (connection, orderId) => {
+  const [rows] = await connection.query(
+    'SELECT * FROM order_status_history WHERE order_id = ? ORDER BY created_at ASC, id ASC',
+    [orderId]
+  );
+
+  return rows;
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  STATUS_TRANSITIONS,
+  STOCK_HOLDING_STATUSES,
+  STOCK_RETURNING_STATUSES,
+  canTransition,
+  recordStatusChange,
+  getStatusHistory
+};
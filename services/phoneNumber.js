@@ -0,0 +1,21 @@
+/**
+ * Normalize a Moroccan phone number to its international form.
+ * Accepts local (06 12 34 56 78) and international (+212 6..., 00212 6...)
+ * numbers, with spaces, dots or dashes between digits.
+ * @param {string} phone - Phone number as typed
+ * @returns {string|null} - Number like +212612345678, or null if invalid
+ */
+const normalizePhone = (phone) => {
+  if (!phone || typeof phone !== 'string') {
+    return null;
+  }
+
+  const compact = phone.trim().replace(/[\s.\-()]/g, '');
+  const match = compact.match(/^(?:\+212|00212|0)([5-7]\d{8})$/);
+
+  return match ? `+212${match[1]}` : null;
+};
+
+module.exports = {
+  normalizePhone
+};
@@ -0,0 +1,254 @@
+const db = require('../config/db');
+const { resolveCategoryIds } = require('./categoryService');
+
+// Price paid after the percentage discount; price filters, buckets and sorts use it
+const FINAL_PRICE = 'ROUND(p.price * (1 - LEAST(GREATEST(p.discount, 0), 100) / 100), 2)';
+
+// Sorts shared by the product lists (searches can also sort by relevance)
+const LISTING_SORTS = {
+  newest: 'p.created_at DESC',
+  price_asc: `${FINAL_PRICE} ASC`,
+  price_desc: `${FINAL_PRICE} DESC`,
+  discount: 'p.discount DESC',
+  name_asc: 'p.name_fr ASC',
+  name_desc: 'p.name_fr DESC'
+};
+
+// Price ranges counted in the price facet (MAD, max excluded)
+const PRICE_BUCKETS = [
+  { key: '0-100', min: 0, max: 100 },
+  { key: '100-200', min: 100, max: 200 },
+  { key: '200-500', min: 200, max: 500 },
+  { key: '500+', min: 500, max: null }
+];
+
+// Most colors returned in the color facet
+const MAX_COLOR_FACETS = 30;
+
+// Color option values of the product variants, as vo (product_id from pv)
+const COLOR_OPTIONS = `product_variants pv
+  JOIN product_variant_options vo ON vo.variant_id = pv.id
+  JOIN product_option_types ot ON ot.id = vo.option_type_id AND ot.code = 'color'`;
+
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
+
+const HEX_PATTERN = /^#?[0-9a-f]{6}$/i;
+
+// Split a comma separated query value
+const listValue = (value) => String(value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+/**
+ * Read the product filters from a query string
+ * (?category=slug,slug&minPrice=&maxPrice=&hasDiscount=true&inStock=true&color=#ff0000,rouge)
+ * @param {Object} query - req.query
+ * @returns {Object} - { filters }, or { error } when a value is invalid
+ */
+const parseListingFilters = (query) => {
+  const readPrice = (value) => (value === undefined || value === '' ? null : parseFloat(value));
+  const minPrice = readPrice(query.minPrice);
+  const maxPrice = readPrice(query.maxPrice);
+
+  if ([minPrice, maxPrice].some(price => price !== null && (!Number.isFinite(price) || price < 0))) {
+    return { error: 'Prices must be numbers of 0 or more' };
+  }
+
+  if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+    return { error: 'minPrice cannot be above maxPrice' };
+  }
+
+  const colors = listValue(query.color);
+
+  return {
+    filters: {
+      categories: listValue(query.category),
+      minPrice,
+      maxPrice,
+      hasDiscount: String(query.hasDiscount) === 'true',
+      inStock: String(query.inStock) === 'true',
+      colorHexes: colors
+        .filter(color => HEX_PATTERN.test(color))
+        .map(color => `#${color.replace('#', '').toLowerCase()}`),
+      colorNames: colors.filter(color => !HEX_PATTERN.test(color))
+    }
+  };
+};
+
+/**
+ * Build the WHERE clause of a listing
+ * @param {Object} scope - { conditions, params } fixed by the route (discounted, category, search)
+ * @param {Object} filters - Parsed filters
+ * @param {string} exclude - Filter left out ('category', 'price' or 'color'), so a facet
+ *                           still counts the other values of its own filter
+ * @returns {Object} - { where, params }
+ */
+const buildListingConditions = (scope, filters, exclude = null) => {
+  const conditions = [...scope.conditions];
+  const params = [...scope.params];
+
+  // categoryIds holds the requested categories and their subcategories (see listProducts)
+  if (exclude !== 'category' && filters.categories.length > 0) {
+    if (filters.categoryIds.length > 0) {
+      conditions.push(`p.category_id IN (${filters.categoryIds.map(() => '?').join(', ')})`);
+      params.push(...filters.categoryIds);
+    } else {
+      conditions.push('FALSE');
+    }
+  }
+
+  if (exclude !== 'price' && filters.minPrice !== null) {
+    conditions.push(`${FINAL_PRICE} >= ?`);
+    params.push(filters.minPrice);
+  }
+
+  if (exclude !== 'price' && filters.maxPrice !== null) {
+    conditions.push(`${FINAL_PRICE} <= ?`);
+    params.push(filters.maxPrice);
+  }
+
+  if (filters.hasDiscount) {
+    conditions.push('p.discount > 0');
+  }
+
+  // A product is available when it, or one of its variants, has stock
+  if (filters.inStock) {
+    conditions.push('(p.stock > 0 OR EXISTS (SELECT 1 FROM product_variants sv WHERE sv.product_id = p.id AND sv.stock > 0))');
+  }
+
+  if (exclude !== 'color' && (filters.colorHexes.length > 0 || filters.colorNames.length > 0)) {
+    const colorConditions = [];
+
+    if (filters.colorHexes.length > 0) {
+      colorConditions.push(`LOWER(vo.hex_code) IN (${filters.colorHexes.map(() => '?').join(', ')})`);
+      params.push(...filters.colorHexes);
+    }
+
+    filters.colorNames.forEach(name => {
+      colorConditions.push('vo.value_fr LIKE ? OR vo.value_ar LIKE ?');
+      params.push(`%${name}%`, `%${name}%`);
+    });
+
+    conditions.push(`EXISTS (SELECT 1 FROM ${COLOR_OPTIONS} WHERE pv.product_id = p.id AND (${colorConditions.join(' OR ')}))`);
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+};
+
+/**
+ * Count the products per category, price bucket and color. Each facet ignores
+ * its own filter, so every option still shows how many products it would give.
+ * @param {Object} scope - { conditions, params }
+ * @param {Object} filters - Parsed filters
+ * @returns {Promise<Object>} - { categories, prices, colors }
+ */
+const getFacets = async (scope, filters) => {
+  const byCategory = buildListingConditions(scope, filters, 'category');
+  const byPrice = buildListingConditions(scope, filters, 'price');
+  const byColor = buildListingConditions(scope, filters, 'color');
+
+  const bucketColumns = PRICE_BUCKETS.map((bucket, i) => (bucket.max === null
+    ? `SUM(${FINAL_PRICE} >= ?) as bucket_${i}`
+    : `SUM(${FINAL_PRICE} >= ? AND ${FINAL_PRICE} < ?) as bucket_${i}`));
+  const bucketParams = PRICE_BUCKETS.flatMap(bucket => (bucket.max === null ? [bucket.min] : [bucket.min, bucket.max]));
+
+  const [[categories], [prices], [colors]] = await Promise.all([
+    db.query(
+      `SELECT c.id, c.slug, c.name_fr, c.name_ar, c.parent_id, COUNT(*) as count
+       FROM products p
+       JOIN categories c ON c.id = p.category_id
+       ${byCategory.where}
+       GROUP BY c.id
+       ORDER BY count DESC, c.sort_order ASC`,
+      byCategory.params
+    ),
+    db.query(
+      `SELECT ${bucketColumns.join(', ')}
+       FROM products p
+       ${byPrice.where}`,
+      [...bucketParams, ...byPrice.params]
+    ),
+    db.query(
+      `SELECT LOWER(vo.hex_code) as hex, MIN(vo.value_fr) as name_fr, MIN(vo.value_ar) as name_ar,
+        COUNT(DISTINCT p.id) as count
+       FROM products p
+       JOIN (${COLOR_OPTIONS}) ON pv.product_id = p.id
+       ${byColor.where}
+       GROUP BY LOWER(vo.hex_code)
+       ORDER BY count DESC
+       LIMIT ?`,
+      [...byColor.params, MAX_COLOR_FACETS]
+    )
+  ]);
+
+  return {
+    categories,
+    prices: PRICE_BUCKETS.map((bucket, i) => ({
+      ...bucket,
+      count: parseInt(prices[0][`bucket_${i}`]) || 0
+    })),
+    colors
+  };
+};
+
+/**
+ * One page of products with the facets of the whole result
+ * @param {Object} options - {
+ *   scope: { conditions, params, relevance, relevanceParams } fixed by the route,
+ *   filters, sort (LISTING_SORTS key, or 'relevance' when the scope has one), page, limit }
+ * @returns {Promise<Object>} - { products, pagination, facets }
+ */
+const listProducts = async ({ scope = {}, filters, sort = 'newest', page = 1, limit = DEFAULT_PAGE_SIZE }) => {
+  const base = { conditions: scope.conditions || [], params: scope.params || [] };
+
+  if (filters.categories.length > 0) {
+    filters = { ...filters, categoryIds: await resolveCategoryIds(filters.categories) };
+  }
+
+  const { where, params } = buildListingConditions(base, filters);
+  const relevance = scope.relevance ? `, ${scope.relevance} as relevance` : '';
+  const orderBy = sort === 'relevance' && scope.relevance
+    ? 'relevance DESC, p.created_at DESC'
+    : LISTING_SORTS[sort] || LISTING_SORTS.newest;
+
+  const [[products], [countRows], facets] = await Promise.all([
+    db.query(
+      `SELECT p.*${relevance}
+       FROM products p
+       ${where}
+       ORDER BY ${orderBy}, p.id DESC
+       LIMIT ? OFFSET ?`,
+      [...(scope.relevanceParams || []), ...params, limit, (page - 1) * limit]
+    ),
+    db.query(`SELECT COUNT(*) as total FROM products p ${where}`, params),
+    getFacets(base, filters)
+  ]);
+
+  const total = countRows[0].total;
+
+  return {
+    // The normalized search columns are internal
+    products: products.map(({ search_name, search_desc, ...product }) => product),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    },
+    facets
+  };
+};
+
+module.exports = {
+  LISTING_SORTS,
+  PRICE_BUCKETS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parseListingFilters,
+  listProducts
+};
@@ -0,0 +1,384 @@
+const db = require('../config/db');
+const { listProducts, DEFAULT_PAGE_SIZE } = require('./productListing');
+
+// Shortest word kept in the InnoDB full-text index (innodb_ft_min_token_size)
+const MIN_TOKEN_LENGTH = 3;
+
+// Words InnoDB leaves out of the full-text index by default; they never match
+const FULLTEXT_STOPWORDS = new Set([
+  'a', 'about', 'an', 'are', 'as', 'at', 'be', 'by', 'com', 'de', 'en', 'for', 'from', 'how', 'i', 'in',
+  'is', 'it', 'la', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'what', 'when', 'where', 'who',
+  'will', 'with', 'und', 'www'
+]);
+
+// Most terms read from one query
+const MAX_TERMS = 8;
+
+// Length of the description snippets returned with the results
+const SNIPPET_LENGTH = 160;
+
+// How long the word list used to correct typos is kept before being reloaded
+const VOCABULARY_TTL = 10 * 60 * 1000;
+
+let vocabulary = null;
+let vocabularyLoadedAt = 0;
+
+/**
+ * Normalize French or Arabic text for searching: lowercase, accents and Arabic
+ * diacritics removed, alef/hamza/ta marbuta/alef maqsura variants folded
+ * @param {string} text - Text to normalize
+ * @returns {string} - Words separated by single spaces
+ */
+const normalizeText = (text) => String(text || '')
+  .replace(/[أإآٱ]/g, 'ا')
+  .replace(/ؤ/g, 'و')
+  .replace(/[ئى]/g, 'ي')
+  .replace(/ة/g, 'ه')
+  .replace(/œ/gi, 'oe')
+  .replace(/æ/gi, 'ae')
+  .normalize('NFD')
+  // Latin accents, Arabic harakat, superscript alef and tatweel
+  .replace(/[\u0300-\u036f\u064b-\u065f\u0670\u0640]/g, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+/**
+ * Split a search query into distinct normalized terms
+ * @param {string} query - Raw query
+ * @returns {Array<string>} - Terms
+ */
+const tokenize = (query) => [...new Set(normalizeText(query).split(' ').filter(Boolean))].slice(0, MAX_TERMS);
+
+/**
+ * Edit distance between two words, giving up once it is over max
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} max - Largest distance of interest
+ * @returns {number} - Distance, or max + 1 when further apart
+ */
+const levenshtein = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > max) {
+      return max + 1;
+    }
+
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Words of the original text, with the Arabic diacritics kept inside the word
+const WORD_PATTERN = /[\p{L}\p{N}\p{M}]+/gu;
+
+const matchesTerm = (word, terms) => {
+  const normalized = normalizeText(word);
+  return normalized !== '' && terms.some(term => normalized.startsWith(term));
+};
+
+/**
+ * Escape a text for HTML and wrap the words matching the search terms in <mark>
+ * @param {string} text - Original text
+ * @param {Array<string>} terms - Normalized search terms
+ * @returns {string} - HTML
+ */
+const highlightText = (text, terms) => {
+  const source = String(text || '');
+  let html = '';
+  let last = 0;
+
+  for (const match of source.matchAll(WORD_PATTERN)) {
+    html += escapeHtml(source.slice(last, match.index));
+    html += matchesTerm(match[0], terms)
+      ? `<mark>${escapeHtml(match[0])}</mark>`
+      : escapeHtml(match[0]);
+    last = match.index + match[0].length;
+  }
+
+  return html + escapeHtml(source.slice(last));
+};
+
+/**
+ * Cut a description around its first match and highlight it
+ * @param {string} text - Original text
+ * @param {Array<string>} terms - Normalized search terms
+ * @returns {string} - HTML snippet
+ */
+const buildSnippet = (text, terms) => {
+  const source = String(text || '');
+
+  if (source.length <= SNIPPET_LENGTH) {
+    return highlightText(source, terms);
+  }
+
+  const first = [...source.matchAll(WORD_PATTERN)].find(match => matchesTerm(match[0], terms));
+  let start = first ? Math.max(0, first.index - Math.floor(SNIPPET_LENGTH / 3)) : 0;
+
+  // Start and end on whole words
+  if (start > 0) {
+    const space = source.indexOf(' ', start);
+    if (space !== -1 && (!first || space < first.index)) {
+      start = space + 1;
+    }
+  }
+
+  let end = Math.min(source.length, start + SNIPPET_LENGTH);
+  if (end < source.length) {
+    const space = source.lastIndexOf(' ', end);
+    end = space > start ? space : end;
+  }
+
+  return `${start > 0 ? '… ' : ''}${highlightText(source.slice(start, end), terms)}${end < source.length ? ' …' : ''}`;
+};
+
+/**
+ * Recompute the normalized search columns of a product
+ * @param {Object} connection - MySQL connection or pool
+ * @param {number} productId - Product ID
+ */
+const refreshSearchFields = async (connection, productId) => {
+  const [rows] = await connection.query(
+    'SELECT name_fr, name_ar, desc_fr, desc_ar FROM products WHERE id = ?',
+    [productId]
+  );
+
+  if (rows.length === 0) {
+    return;
+  }
+
+  const product = rows[0];
+  await connection.query(
+    'UPDATE products SET search_name = ?, search_desc = ? WHERE id = ?',
+    [
+      normalizeText(`${product.name_fr || ''} ${product.name_ar || ''}`),
+      normalizeText(`${product.desc_fr || ''} ${product.desc_ar || ''}`),
+      productId
+    ]
+  );
+
+  vocabulary = null;
+};
+
+/**
+ * Fill the search columns of products saved before search existed or edited
+ * directly in the database
+ */
+const backfillSearchFields = async () => {
+  try {
+    const [products] = await db.query('SELECT id FROM products WHERE search_name IS NULL');
+
+    for (const product of products) {
+      await refreshSearchFields(db, product.id);
+    }
+
+    if (products.length > 0) {
+      console.log(`Search fields filled for ${products.length} products`);
+    }
+  } catch (err) {
+    console.error('Error filling product search fields:', err);
+  }
+};
+
+// Distinct words of the indexed texts, used to correct typos
+const loadVocabulary = async () => {
+  if (vocabulary && Date.now() - vocabularyLoadedAt < VOCABULARY_TTL) {
+    return vocabulary;
+  }
+
+  const [rows] = await db.query('SELECT search_name, search_desc FROM products');
+  const words = new Set();
+
+  rows.forEach(row => {
+    `${row.search_name || ''} ${row.search_desc || ''}`.split(' ')
+      .filter(word => word.length >= MIN_TOKEN_LENGTH)
+      .forEach(word => words.add(word));
+  });
+
+  vocabulary = [...words];
+  vocabularyLoadedAt = Date.now();
+  return vocabulary;
+};
+
+/**
+ * Replace the terms that match no indexed word by the closest one
+ * @param {Array<string>} terms - Normalized search terms
+ * @returns {Promise<Array<string>>} - Corrected terms
+ */
+const correctTerms = async (terms) => {
+  const words = await loadVocabulary();
+
+  return terms.map(term => {
+    if (term.length < 4 || words.some(word => word.startsWith(term))) {
+      return term;
+    }
+
+    const max = term.length <= 5 ? 1 : 2;
+    let best = null;
+    let bestDistance = max + 1;
+
+    for (const word of words) {
+      const distance = levenshtein(term, word, max);
+      if (distance < bestDistance) {
+        best = word;
+        bestDistance = distance;
+      }
+    }
+
+    return best || term;
+  });
+};
+
+/**
+ * SQL condition requiring every term, as a word or the start of one, in the given columns
+ * @param {Array<string>} terms - Normalized search terms
+ * @param {string} columns - 'search_name' or 'search_name, search_desc' (each has a FULLTEXT index)
+ * @returns {Object} - { where, params, against } where against is the full-text query,
+ *                     null when no term can use the index; without terms nothing matches
+ */
+const buildMatchCondition = (terms, columns) => {
+  const fulltextTerms = terms.filter(term => term.length >= MIN_TOKEN_LENGTH && !FULLTEXT_STOPWORDS.has(term));
+  const shortTerms = terms.filter(term => term.length < MIN_TOKEN_LENGTH && !FULLTEXT_STOPWORDS.has(term));
+  const text = `CONCAT(' ', ${columns.split(', ').join(', \' \', ')})`;
+  const conditions = [];
+  const params = [];
+  let against = null;
+
+  if (fulltextTerms.length > 0) {
+    against = fulltextTerms.map(term => `+${term}*`).join(' ');
+    conditions.push(`MATCH(${columns}) AGAINST(? IN BOOLEAN MODE)`);
+    params.push(against);
+  }
+
+  // Words too short for the index (or only stopwords) are matched at the start of a word
+  (fulltextTerms.length > 0 || shortTerms.length > 0 ? shortTerms : terms).forEach(term => {
+    conditions.push(`${text} LIKE ?`);
+    params.push(`% ${term}%`);
+  });
+
+  return { where: conditions.length > 0 ? conditions.join(' AND ') : 'FALSE', params, against };
+};
+
+// WHERE clause and relevance expression for a list of terms
+const buildSearchQuery = (terms) => {
+  const { where, params, against } = buildMatchCondition(terms, 'search_name, search_desc');
+
+  if (against) {
+    return {
+      where,
+      params,
+      relevance: `MATCH(search_name) AGAINST(? IN BOOLEAN MODE) * 3
+        + MATCH(search_name, search_desc) AGAINST(? IN BOOLEAN MODE)
+        + (search_name LIKE ?) * 5`,
+      relevanceParams: [against, against, `%${terms.join(' ')}%`]
+    };
+  }
+
+  return {
+    where,
+    params,
+    relevance: '(CONCAT(\' \', search_name) LIKE ?) * 3 + 1',
+    relevanceParams: [`% ${terms.join(' ')}%`]
+  };
+};
+
+// Listing scope of a search: its WHERE condition and relevance
+const searchScope = (terms) => {
+  const { where, params, relevance, relevanceParams } = buildSearchQuery(terms);
+  return { conditions: [where], params, relevance, relevanceParams };
+};
+
+/**
+ * Search products in French and Arabic names and descriptions
+ * @param {string} query - Raw query
+ * @param {Object} options - { filters, sort, page, limit } as taken by listProducts;
+ *                           sort is relevance by default
+ * @returns {Promise<Object>} - { products, pagination, facets, terms, correctedQuery }
+ *                              where correctedQuery is set when typos were corrected to find results
+ */
+const searchProducts = async (query, { sort = 'relevance', ...options } = {}) => {
+  let terms = tokenize(query);
+  let correctedQuery = null;
+
+  // Queries made only of punctuation or symbols leave no term to search for
+  if (terms.length === 0) {
+    const { page = 1, limit = DEFAULT_PAGE_SIZE } = options;
+
+    return {
+      products: [],
+      pagination: { page, limit, total: 0, totalPages: 0 },
+      facets: null,
+      terms,
+      correctedQuery
+    };
+  }
+
+  let result = await listProducts({ ...options, sort, scope: searchScope(terms) });
+
+  if (result.pagination.total === 0) {
+    const corrected = await correctTerms(terms);
+
+    if (corrected.some((term, i) => term !== terms[i])) {
+      terms = corrected;
+      correctedQuery = corrected.join(' ');
+      result = await listProducts({ ...options, sort, scope: searchScope(terms) });
+    }
+  }
+
+  // Stopwords are only searched for when the query has nothing else
+  const matchedTerms = terms.some(term => !FULLTEXT_STOPWORDS.has(term))
+    ? terms.filter(term => !FULLTEXT_STOPWORDS.has(term))
+    : terms;
+
+  return {
+    ...result,
+    products: result.products.map(product => ({
+      ...product,
+      relevance: Number(product.relevance) || 0,
+      highlight: {
+        name_fr: highlightText(product.name_fr, matchedTerms),
+        name_ar: highlightText(product.name_ar, matchedTerms),
+        desc_fr: buildSnippet(product.desc_fr, matchedTerms),
+        desc_ar: buildSnippet(product.desc_ar, matchedTerms)
+      }
+    })),
+    terms,
+    correctedQuery
+  };
+};
+
+module.exports = {
+  normalizeText,
+  tokenize,
+  levenshtein,
+  highlightText,
+  buildSnippet,
+  buildMatchCondition,
+  refreshSearchFields,
+  backfillSearchFields,
+  searchProducts
+};
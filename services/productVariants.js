@@ -0,0 +1,306 @@
+const { parseThreshold, recordMovement } = require('./inventoryService');
+
+const HEX_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Load the option types variants can combine (color, size, volume...)
+ * @param {Object} connection - MySQL connection or pool
+ * @returns {Promise<Array>} - Option types in display order
+ */
+const loadOptionTypes = async (connection) => {
+  const [types] = await connection.query('SELECT * FROM product_option_types ORDER BY sort_order ASC, id ASC');
+  return types;
+};
+
+/**
+ * Display name of a variant from its option values ("Rouge / 50 ml")
+ * @param {Array} options - Option values ({ option_type_id, value_fr, value_ar, hex_code })
+ * @param {Array} types - Option types, for the display order
+ * @returns {Object} - { name_fr, name_ar, hex_code }
+ */
+const variantLabel = (options, types) => {
+  const order = new Map(types.map((type, i) => [type.id, i]));
+  const sorted = [...options].sort((a, b) => order.get(a.option_type_id) - order.get(b.option_type_id));
+  const swatch = sorted.find(option => option.hex_code);
+
+  return {
+    name_fr: sorted.map(option => option.value_fr).join(' / '),
+    name_ar: sorted.map(option => option.value_ar).join(' / '),
+    hex_code: swatch ? swatch.hex_code : null
+  };
+};
+
+/**
+ * Read the variants of a product form. Older admin clients send `colors`
+ * ({ id, name_fr, name_ar, hex_code, stock, image }), which become color variants.
+ * @param {Object} body - req.body with a `variants` or `colors` JSON array
+ * @returns {Object} - { variants } (index, id, sku, price, priceSent, stock, threshold, thresholdSent,
+ *   image, imageSent, imageField, options as { type, value_fr, value_ar, hex_code }), or { error };
+ *   fields the form leaves out keep their current value (stock is then null)
+ */
+const parseVariants = (body) => {
+  const legacy = !body.variants;
+  let list;
+
+  try {
+    list = JSON.parse(body.variants || body.colors);
+  } catch (err) {
+    return { error: 'Variants must be a JSON array' };
+  }
+
+  if (!Array.isArray(list)) {
+    return { error: 'Variants must be a JSON array' };
+  }
+
+  const variants = [];
+
+  for (let index = 0; index < list.length; index++) {
+    const item = list[index] || {};
+    const label = item.sku || item.name_fr || `#${index + 1}`;
+
+    const options = legacy
+      ? [{ type: 'color', value_fr: item.name_fr, value_ar: item.name_ar, hex_code: item.hex_code }]
+      : (item.options || []);
+
+    if (options.length === 0) {
+      return { error: `Variant ${label} needs at least one option` };
+    }
+
+    for (const option of options) {
+      if (!option.type || !option.value_fr || !option.value_ar) {
+        return { error: `Every option of variant ${label} needs a type and French and Arabic values` };
+      }
+
+      if (option.hex_code && !HEX_PATTERN.test(option.hex_code)) {
+        return { error: `Color of variant ${label} must look like #A1B2C3` };
+      }
+    }
+
+    const threshold = parseThreshold(item.low_stock_threshold);
+    if (threshold === undefined) {
+      return { error: `Low stock threshold of variant ${label} must be a whole number of 0 or more` };
+    }
+
+    const price = item.price === undefined || item.price === null || item.price === '' ? null : parseFloat(item.price);
+    if (price !== null && (!Number.isFinite(price) || price < 0)) {
+      return { error: `Price of variant ${label} must be a number of 0 or more` };
+    }
+
+    // New variants have no ID or a temporary one from the admin form
+    const isNew = item.isNew || !item.id || String(item.id).startsWith('temp-');
+
+    variants.push({
+      index,
+      id: isNew ? null : parseInt(item.id),
+      sku: item.sku ? String(item.sku).trim() : null,
+      price,
+      priceSent: item.price !== undefined,
+      stock: item.stock !== undefined ? parseInt(item.stock) || 0 : null,
+      threshold,
+      thresholdSent: item.low_stock_threshold !== undefined,
+      image: item.image || null,
+      imageSent: item.image !== undefined,
+      imageField: legacy ? `colorImage_${index}` : `variantImage_${index}`,
+      options: options.map(option => ({
+        type: String(option.type),
+        value_fr: String(option.value_fr).trim(),
+        value_ar: String(option.value_ar).trim(),
+        hex_code: option.hex_code || null
+      }))
+    });
+  }
+
+  return { variants };
+};
+
+/**
+ * Write the variants of a product and record their stock in the ledger
+ * @param {Object} connection - MySQL connection (inside the product transaction)
+ * @param {number} productId - Product ID
+ * @param {Array} variants - Variants from parseVariants, with their image URLs resolved;
+ *   a null stock keeps the current stock of an existing variant
+ * @param {Object} options - { removeMissing, reason, admin }; removeMissing deletes the
+ *   variants of the product that are not in the list, reason replaces the ledger default
+ * @returns {Promise<Object>} - { created, updated }, or { status, msg } when the variants are refused
+ */
+const saveProductVariants = async (connection, productId, variants, { removeMissing = false, reason = null, admin = null } = {}) => {
+  const types = await loadOptionTypes(connection);
+  const typesByCode = new Map(types.map(type => [type.code, type]));
+
+  for (const variant of variants) {
+    const unknown = variant.options.find(option => !typesByCode.has(option.type));
+    if (unknown) {
+      return { status: 400, msg: `Unknown option type "${unknown.type}"`, allowed: types.map(type => type.code) };
+    }
+  }
+
+  const skus = variants.filter(variant => variant.sku).map(variant => variant.sku.toLowerCase());
+  if (new Set(skus).size !== skus.length) {
+    return { status: 400, msg: 'Each variant needs its own SKU' };
+  }
+
+  for (const variant of variants.filter(item => item.sku)) {
+    const [taken] = await connection.query(
+      'SELECT id FROM product_variants WHERE sku = ? AND id <> ?',
+      [variant.sku, variant.id || 0]
+    );
+
+    if (taken.length > 0) {
+      return { status: 409, msg: `SKU ${variant.sku} is already used` };
+    }
+  }
+
+  // Stock of the variants before this save, for the ledger; locked so orders cannot move it meanwhile
+  const [existing] = await connection.query('SELECT id, stock FROM product_variants WHERE product_id = ? FOR UPDATE', [productId]);
+  const previousStock = new Map(existing.map(row => [row.id, parseInt(row.stock) || 0]));
+
+  if (removeMissing) {
+    const keptIds = variants.filter(variant => variant.id).map(variant => variant.id);
+
+    await connection.query(
+      `DELETE FROM product_variants WHERE product_id = ?${keptIds.length > 0 ? ` AND id NOT IN (${keptIds.map(() => '?').join(', ')})` : ''}`,
+      [productId, ...keptIds]
+    );
+  }
+
+  const saved = { created: 0, updated: 0 };
+
+  for (let position = 0; position < variants.length; position++) {
+    const variant = variants[position];
+    const options = variant.options.map(option => ({ ...option, option_type_id: typesByCode.get(option.type).id }));
+    const label = variantLabel(options, types);
+    let variantId = variant.id;
+
+    if (variantId && previousStock.has(variantId)) {
+      const before = previousStock.get(variantId);
+      const stock = variant.stock === null ? before : variant.stock;
+
+      await connection.query(
+        `UPDATE product_variants
+         SET sku = COALESCE(?, sku), name_fr = ?, name_ar = ?, hex_code = ?, price = IF(?, ?, price), stock = ?,
+           low_stock_threshold = IF(?, ?, low_stock_threshold), image = IF(?, ?, image), sort_order = ?
+         WHERE id = ? AND product_id = ?`,
+        [variant.sku, label.name_fr, label.name_ar, label.hex_code, variant.priceSent, variant.price, stock,
+          variant.thresholdSent, variant.threshold, variant.imageSent, variant.image, position, variantId, productId]
+      );
+
+      if (stock !== before) {
+        await recordMovement(connection, {
+          productId,
+          variantId,
+          quantity: stock - before,
+          stockAfter: stock,
+          type: 'product_edit',
+          reason: reason || 'Stock changed in the product form',
+          admin
+        });
+      }
+
+      saved.updated++;
+    } else {
+      const stock = variant.stock || 0;
+      const [result] = await connection.query(
+        `INSERT INTO product_variants
+          (product_id, sku, name_fr, name_ar, hex_code, price, stock, low_stock_threshold, image, sort_order)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [productId, variant.sku, label.name_fr, label.name_ar, label.hex_code, variant.price, stock,
+          variant.threshold, variant.image, position]
+      );
+
+      variantId = result.insertId;
+
+      // Variants saved without a SKU get one from their IDs
+      if (!variant.sku) {
+        await connection.query('UPDATE product_variants SET sku = ? WHERE id = ?', [`P${productId}-V${variantId}`, variantId]);
+      }
+
+      await recordMovement(connection, {
+        productId,
+        variantId,
+        quantity: stock,
+        stockAfter: stock,
+        type: 'opening',
+        reason: reason || 'Variant added',
+        admin
+      });
+
+      saved.created++;
+    }
+
+    await connection.query('DELETE FROM product_variant_options WHERE variant_id = ?', [variantId]);
+
+    for (const option of options) {
+      await connection.query(
+        'INSERT INTO product_variant_options (variant_id, option_type_id, value_fr, value_ar, hex_code) VALUES (?, ?, ?, ?, ?)',
+        [variantId, option.option_type_id, option.value_fr, option.value_ar, option.hex_code]
+      );
+    }
+  }
+
+  return saved;
+};
+
+/**
+ * Get the variants of a product with their option values
+ * @param {Object} connection - MySQL connection or pool
+ * @param {number} productId - Product ID
+ * @returns {Promise<Array>} - Variants in display order, each with an options array
+ */
+const getProductVariants = async (connection, productId) => {
+  const [variants] = await connection.query(
+    'SELECT * FROM product_variants WHERE product_id = ? ORDER BY sort_order ASC, id ASC',
+    [productId]
+  );
+
+  if (variants.length === 0) {
+    return [];
+  }
+
+  const [options] = await connection.query(
+    `SELECT o.variant_id, t.code as type, t.name_fr as type_name_fr, t.name_ar as type_name_ar,
+      o.value_fr, o.value_ar, o.hex_code
+     FROM product_variant_options o
+     JOIN product_option_types t ON o.option_type_id = t.id
+     WHERE o.variant_id IN (${variants.map(() => '?').join(', ')})
+     ORDER BY t.sort_order ASC, t.id ASC`,
+    variants.map(variant => variant.id)
+  );
+
+  return variants.map(variant => ({
+    ...variant,
+    options: options
+      .filter(option => option.variant_id === variant.id)
+      .map(({ variant_id, ...option }) => option)
+  }));
+};
+
+/**
+ * Color variants in the shape of the former product_colors rows, for older clients
+ * @param {Array} variants - Variants from getProductVariants
+ * @returns {Array} - ({ id, product_id, name_fr, name_ar, hex_code, stock, low_stock_threshold, image })
+ */
+const toLegacyColors = (variants) => variants
+  .filter(variant => variant.options.some(option => option.type === 'color'))
+  .map(variant => {
+    const color = variant.options.find(option => option.type === 'color');
+
+    return {
+      id: variant.id,
+      product_id: variant.product_id,
+      name_fr: color.value_fr,
+      name_ar: color.value_ar,
+      hex_code: color.hex_code,
+      stock: variant.stock,
+      low_stock_threshold: variant.low_stock_threshold,
+      image: variant.image
+    };
+  });
+
+module.exports = {
+  loadOptionTypes,
+  variantLabel,
+  parseVariants,
+  saveProductVariants,
+  getProductVariants,
+  toLegacyColors
+};
@@ -0,0 +1,542 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const fs = require('fs');
+const path = require('path');
+const { finished: onFinished } = require('stream');
+const { promisify } = require('util');
+const {
+  format,
+  parseISO,
+  addDays,
+  subDays,
+  subWeeks,
+  startOfDay,
+  startOfWeek,
+  endOfWeek
+} = require('date-fns');
+const db = require('../config/db');
+const { notifyAdmins } = require('./notificationService');
+const { getSummary, getBreakdown, getTopProducts } = require('./analyticsService');
+const { getLowStockItems } = require('./inventoryService');
+const { STATUS_LABELS } = require('./exportService');
+
+const finished = promisify(onFinished);
+
+// Directory where generated reports are kept; not served statically
+const reportDir = process.env.REPORT_DIR || path.join(__dirname, '../storage/reports');
+if (!fs.existsSync(reportDir)) {
+  fs.mkdirSync(reportDir, { recursive: true });
+}
+
+// Hour (server time) at which reports are generated; weekly reports run on Mondays.
+// 0 is midnight, so only values outside 0-23 fall back to the default.
+const configuredHour = Number(process.env.REPORT_HOUR);
+const REPORT_HOUR = process.env.REPORT_HOUR && Number.isInteger(configuredHour) && configuredHour >= 0 && configuredHour <= 23
+  ? configuredHour
+  : 6;
+
+// Most missed periods of each type generated when catching up after a downtime
+const MAX_CATCH_UP = 31;
+
+const REPORT_TYPES = ['daily', 'weekly'];
+
+const REPORT_TITLES = {
+  daily: 'Rapport journalier des ventes',
+  weekly: 'Rapport hebdomadaire des ventes'
+};
+
+const logoPath = path.join(__dirname, '../public/logo.png');
+
+// Color scheme shared with the order reports
+const colors = {
+  primary: '#1a56db',
+  text: '#1f2937',
+  textLight: '#4b5563',
+  lightBg: '#f3f4f6',
+  border: '#e5e7eb'
+};
+
+// Format an amount in MAD
+const mad = (amount) => `${(parseFloat(amount) || 0).toFixed(2)} MAD`;
+
+/**
+ * Get the period a report covers: yesterday, or last Monday to Sunday
+ * @param {string} type - daily or weekly
+ * @param {Date} now - Reference date
+ * @returns {Object} - { start, end } as Date at midnight, end included
+ */
+const getReportPeriod = (type, now = new Date()) => {
+  if (type === 'weekly') {
+    const lastWeek = subWeeks(now, 1);
+    return {
+      start: startOfWeek(lastWeek, { weekStartsOn: 1 }),
+      end: startOfDay(endOfWeek(lastWeek, { weekStartsOn: 1 }))
+    };
+  }
+
+  const yesterday = startOfDay(subDays(now, 1));
+  return { start: yesterday, end: yesterday };
+};
+
+/**
+ * Gather the figures shown in a report
+ * @param {string} type - daily or weekly
+ * @param {Object} period - { start, end }
+ * @returns {Promise<Object>}
+ */
+const buildReportData = async (type, period) => {
+  const range = {
+    startDate: format(period.start, 'yyyy-MM-dd'),
+    endDate: format(period.end, 'yyyy-MM-dd')
+  };
+
+  return {
+    type,
+    title: REPORT_TITLES[type],
+    ...range,
+    summary: await getSummary(range),
+    breakdown: await getBreakdown(range),
+    topProducts: await getTopProducts(range, { sort: 'revenue', limit: 10 }),
+    lowStock: await getLowStockItems(db)
+  };
+};
+
+// Period shown under the report title
+const periodLabel = (report) => {
+  const start = format(parseISO(report.startDate), 'dd/MM/yyyy');
+  const end = format(parseISO(report.endDate), 'dd/MM/yyyy');
+  return start === end ? start : `du ${start} au ${end}`;
+};
+
+// Key figures, in display order
+const summaryRows = (report) => [
+  ['Commandes', report.summary.orderCount],
+  ['Ventes (hors annulées et retournées)', report.summary.salesCount],
+  ["Chiffre d'affaires", mad(report.summary.revenue)],
+  ['Panier moyen', mad(report.summary.averageBasket)],
+  ["Taux d'annulation", `${report.summary.cancellationRate}%`],
+  ['Taux de retour', `${report.summary.returnRate}%`]
+];
+
+/**
+ * Render a sales report as an Excel workbook
+ * @param {Object} report - Report data from buildReportData
+ * @param {Object} stream - Writable stream
+ */
+const renderReportExcel = async (report, stream) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Beauty Shop';
+  workbook.created = new Date();
+
+  const styleHeader = (row) => {
+    row.eachCell((cell) => {
+      cell.font = { bold: true, color: { argb: 'FFFFFF' } };
+      cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: '3B82F6' } };
+      cell.alignment = { horizontal: 'center', vertical: 'middle' };
+    });
+  };
+
+  // Summary sheet
+  const summarySheet = workbook.addWorksheet('Résumé');
+  summarySheet.columns = [{ width: 40 }, { width: 20 }];
+
+  const titleRow = summarySheet.addRow([report.title]);
+  titleRow.font = { bold: true, size: 16, color: { argb: '3B82F6' } };
+  summarySheet.addRow([periodLabel(report)]);
+  summarySheet.addRow([]);
+
+  summaryRows(report).forEach(row => summarySheet.addRow(row));
+  summarySheet.addRow([]);
+
+  styleHeader(summarySheet.addRow(['Source', 'Commandes', "Chiffre d'affaires"]));
+  report.breakdown.bySource.forEach(row => {
+    summarySheet.addRow([row.source === 'whatsapp' ? 'WhatsApp' : 'Site web', row.orderCount, mad(row.revenue)]);
+  });
+  summarySheet.addRow([]);
+
+  styleHeader(summarySheet.addRow(['Statut', 'Commandes', 'Montant']));
+  report.breakdown.byStatus.forEach(row => {
+    summarySheet.addRow([STATUS_LABELS[row.status] || row.status, row.orderCount, mad(row.revenue)]);
+  });
+
+  // Top products sheet
+  const productSheet = workbook.addWorksheet('Meilleures ventes');
+  productSheet.columns = [
+    { header: 'Produit', key: 'name', width: 40 },
+    { header: 'Quantité', key: 'quantity', width: 12 },
+    { header: "Chiffre d'affaires", key: 'revenue', width: 20 },
+    { header: 'Commandes', key: 'orders', width: 12 }
+  ];
+  styleHeader(productSheet.getRow(1));
+  report.topProducts.forEach(product => {
+    productSheet.addRow({
+      name: product.name_fr,
+      quantity: product.quantity,
+      revenue: product.revenue,
+      orders: product.orderCount
+    });
+  });
+
+  // Low stock sheet
+  const stockSheet = workbook.addWorksheet('Stock faible');
+  stockSheet.columns = [
+    { header: 'Produit', key: 'name', width: 40 },
+    { header: 'Variante', key: 'variant', width: 20 },
+    { header: 'Stock', key: 'stock', width: 10 }
+  ];
+  styleHeader(stockSheet.getRow(1));
+  report.lowStock.forEach(item => {
+    const row = stockSheet.addRow({ name: item.productName, variant: item.variantName || '-', stock: item.stock });
+    if (item.stock <= 0) {
+      row.getCell('stock').font = { bold: true, color: { argb: 'DC2626' } };
+    }
+  });
+
+  await workbook.xlsx.write(stream);
+  stream.end();
+};
+
+/**
+ * Draw a simple table and return the y position below it
+ * @param {Object} doc - PDFDocument
+ * @param {Array} headers - Column titles
+ * @param {Array} widths - Column widths
+ * @param {Array} rows - Rows of strings
+ * @param {number} y - Top of the table
+ * @returns {number}
+ */
+const drawTable = (doc, headers, widths, rows, y) => {
+  const left = 50;
+  const tableWidth = widths.reduce((sum, width) => sum + width, 0);
+  let yPos = y;
+
+  const drawHeader = () => {
+    doc.rect(left, yPos, tableWidth, 20).fill(colors.primary);
+    doc.fillColor('#FFFFFF').font('Helvetica-Bold').fontSize(9);
+
+    let xPos = left + 5;
+    headers.forEach((header, i) => {
+      doc.text(header, xPos, yPos + 6, { width: widths[i] - 10, align: i === 0 ? 'left' : 'right' });
+      xPos += widths[i];
+    });
+    yPos += 20;
+  };
+
+  drawHeader();
+
+  if (rows.length === 0) {
+    doc.font('Helvetica-Oblique').fontSize(9).fillColor(colors.textLight)
+      .text('Aucune donnée', left + 5, yPos + 6);
+    return yPos + 24;
+  }
+
+  rows.forEach((row, rowIndex) => {
+    if (yPos + 18 > doc.page.height - 60) {
+      doc.addPage();
+      yPos = 50;
+      drawHeader();
+    }
+
+    if (rowIndex % 2 === 1) {
+      doc.rect(left, yPos, tableWidth, 18).fill(colors.lightBg);
+    }
+
+    doc.fillColor(colors.text).font('Helvetica').fontSize(9);
+    let xPos = left + 5;
+    row.forEach((value, i) => {
+      doc.text(String(value), xPos, yPos + 5, {
+        width: widths[i] - 10,
+        align: i === 0 ? 'left' : 'right',
+        ellipsis: true,
+        lineBreak: false
+      });
+      xPos += widths[i];
+    });
+    yPos += 18;
+  });
+
+  return yPos;
+};
+
+/**
+ * Render a sales report as a PDF
+ * @param {Object} report - Report data from buildReportData
+ * @param {Object} stream - Writable stream
+ */
+const renderReportPdf = (report, stream) => {
+  const doc = new PDFDocument({
+    margin: 50,
+    size: 'A4',
+    info: { Title: `${report.title} - ${periodLabel(report)}`, Author: 'Beauty Shop' }
+  });
+
+  doc.pipe(stream);
+
+  const pageWidth = doc.page.width;
+
+  if (fs.existsSync(logoPath)) {
+    doc.image(logoPath, 50, 40, { fit: [80, 50] });
+  }
+
+  doc.font('Helvetica-Bold').fontSize(18).fillColor(colors.primary)
+    .text(report.title, 150, 45, { width: pageWidth - 200, align: 'right' });
+  doc.font('Helvetica').fontSize(10).fillColor(colors.textLight)
+    .text(periodLabel(report), 150, 70, { width: pageWidth - 200, align: 'right' })
+    .text(`Généré le: ${format(new Date(), 'dd/MM/yyyy HH:mm')}`, { width: pageWidth - 200, align: 'right' });
+
+  // Key figures as boxes, three per row
+  const boxWidth = (pageWidth - 100 - 20) / 3;
+  summaryRows(report).forEach(([label, value], i) => {
+    const x = 50 + (i % 3) * (boxWidth + 10);
+    const y = 120 + Math.floor(i / 3) * 60;
+
+    doc.rect(x, y, boxWidth, 50).fill(colors.lightBg);
+    doc.font('Helvetica').fontSize(8).fillColor(colors.textLight)
+      .text(label, x + 8, y + 8, { width: boxWidth - 16 });
+    doc.font('Helvetica-Bold').fontSize(14).fillColor(colors.primary)
+      .text(String(value), x + 8, y + 26, { width: boxWidth - 16 });
+  });
+
+  let yPos = 260;
+
+  doc.font('Helvetica-Bold').fontSize(12).fillColor(colors.primary).text('Par source', 50, yPos);
+  yPos = drawTable(doc, ['Source', 'Commandes', "Chiffre d'affaires"], [255, 120, 120],
+    report.breakdown.bySource.map(row => [
+      row.source === 'whatsapp' ? 'WhatsApp' : 'Site web',
+      row.orderCount,
+      mad(row.revenue)
+    ]), yPos + 18) + 20;
+
+  doc.font('Helvetica-Bold').fontSize(12).fillColor(colors.primary).text('Meilleures ventes', 50, yPos);
+  yPos = drawTable(doc, ['Produit', 'Quantité', "Chiffre d'affaires"], [255, 120, 120],
+    report.topProducts.map(product => [product.name_fr, product.quantity, mad(product.revenue)]),
+    yPos + 18) + 20;
+
+  if (yPos > doc.page.height - 150) {
+    doc.addPage();
+    yPos = 50;
+  }
+
+  doc.font('Helvetica-Bold').fontSize(12).fillColor(colors.primary).text('Stock faible', 50, yPos);
+  drawTable(doc, ['Produit', 'Variante', 'Stock'], [255, 160, 80],
+    report.lowStock.map(item => [item.productName, item.variantName || '-', item.stock]),
+    yPos + 18);
+
+  doc.end();
+};
+
+/**
+ * Render a report to a file in the report directory
+ * @param {Object} report - Report data
+ * @param {string} extension - xlsx or pdf
+ * @param {Function} render - Renderer
+ * @returns {Promise<string>} - Filename
+ */
+const writeReportFile = async (report, extension, render) => {
+  const filename = `report_${report.type}_${report.startDate}.${extension}`;
+  const output = fs.createWriteStream(path.join(reportDir, filename));
+
+  await render(report, output);
+  await finished(output);
+
+  return filename;
+};
+
+/**
+ * Generate a report unless the same period was already done, then notify the admins
+ * @param {string} type - daily or weekly
+ * @param {Object} options - { io, adminSockets, now }
+ * @returns {Promise<Object|null>} - The report row, or null when it already existed
+ */
+const generateReport = async (type, { io = null, adminSockets = null, now = new Date() } = {}) => {
+  const period = getReportPeriod(type, now);
+  const periodStart = format(period.start, 'yyyy-MM-dd');
+
+  const [existing] = await db.query(
+    'SELECT id FROM sales_reports WHERE type = ? AND period_start = ?',
+    [type, periodStart]
+  );
+
+  if (existing.length > 0) {
+    return null;
+  }
+
+  const report = await buildReportData(type, period);
+  const excelFilename = await writeReportFile(report, 'xlsx', renderReportExcel);
+  const pdfFilename = await writeReportFile(report, 'pdf', renderReportPdf);
+
+  const summary = {
+    ...report.summary,
+    topProducts: report.topProducts.slice(0, 3),
+    lowStockCount: report.lowStock.length
+  };
+
+  const [result] = await db.query(
+    'INSERT INTO sales_reports (type, period_start, period_end, summary, excel_filename, pdf_filename) VALUES (?, ?, ?, ?, ?, ?)',
+    [type, periodStart, report.endDate, JSON.stringify(summary), excelFilename, pdfFilename]
+  );
+
+  if (io && adminSockets) {
+    notifyAdmins(io, adminSockets, {
+      type: 'report',
+      title: report.title,
+      message: `${report.title} (${periodLabel(report)}): ${report.summary.orderCount} commande(s), ${mad(report.summary.revenue)}`,
+      data: { reportId: result.insertId, type, ...summary }
+    });
+  }
+
+  const [rows] = await db.query('SELECT * FROM sales_reports WHERE id = ?', [result.insertId]);
+  return rows[0];
+};
+
+/**
+ * Shape a report row for API responses
+ * @param {Object} report - sales_reports row
+ * @returns {Object}
+ */
+const formatReport = (report) => ({
+  id: report.id,
+  type: report.type,
+  periodStart: report.period_start,
+  periodEnd: report.period_end,
+  summary: report.summary ? JSON.parse(report.summary) : null,
+  createdAt: report.created_at,
+  downloads: {
+    excel: report.excel_filename ? `/api/reports/${report.id}/download?format=excel` : null,
+    pdf: report.pdf_filename ? `/api/reports/${report.id}/download?format=pdf` : null
+  }
+});
+
+/**
+ * List past reports, newest first
+ * @param {Object} options - { type, limit }
+ * @returns {Promise<Array>}
+ */
+const listReports = async ({ type, limit = 50 } = {}) => {
+  const params = [];
+  let where = '';
+
+  if (type) {
+    where = 'WHERE type = ?';
+    params.push(type);
+  }
+
+  const [rows] = await db.query(
+    `SELECT * FROM sales_reports ${where} ORDER BY period_start DESC, id DESC LIMIT ?`,
+    [...params, limit]
+  );
+
+  return rows.map(formatReport);
+};
+
+/**
+ * Find the file of a report
+ * @param {number} reportId - Report ID
+ * @param {string} fileFormat - excel or pdf
+ * @returns {Promise<Object|null>} - { filename, filePath, mimeType }
+ */
+const findReportFile = async (reportId, fileFormat) => {
+  const [rows] = await db.query('SELECT * FROM sales_reports WHERE id = ?', [reportId]);
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const filename = fileFormat === 'pdf' ? rows[0].pdf_filename : rows[0].excel_filename;
+  if (!filename) {
+    return null;
+  }
+
+  return {
+    filename,
+    filePath: path.join(reportDir, filename),
+    mimeType: fileFormat === 'pdf'
+      ? 'application/pdf'
+      : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  };
+};
+
+/**
+ * List the reference dates of the periods that are due but have no report yet, oldest first.
+ * Periods before the last stored report are not caught up; with no report at all,
+ * only the latest period is due.
+ * @param {string} type - daily or weekly
+ * @param {Date} now - Reference date
+ * @returns {Promise<Array<Date>>} - Dates to pass to generateReport as `now`
+ */
+const getMissedPeriods = async (type, now = new Date()) => {
+  // Today's periods are only due from the report hour on
+  const latest = now.getHours() >= REPORT_HOUR ? now : subDays(now, 1);
+  const step = type === 'weekly' ? 7 : 1;
+
+  const [rows] = await db.query('SELECT MAX(period_start) as last_start FROM sales_reports WHERE type = ?', [type]);
+  const lastStart = rows[0].last_start;
+  const lastDay = typeof lastStart === 'string' ? lastStart.slice(0, 10) : lastStart && format(lastStart, 'yyyy-MM-dd');
+
+  const dates = [];
+  for (let date = latest; dates.length < MAX_CATCH_UP; date = subDays(date, step)) {
+    if (lastDay && format(getReportPeriod(type, date).start, 'yyyy-MM-dd') <= lastDay) {
+      break;
+    }
+
+    dates.unshift(date);
+
+    if (!lastDay) {
+      break;
+    }
+  }
+
+  return dates;
+};
+
+/**
+ * Run the reports that are due, including every period missed while the server was down
+ * @param {Object} io - Socket.io instance
+ * @param {Set} adminSockets - Set of admin socket IDs
+ */
+const runDueReports = async (io, adminSockets) => {
+  for (const type of REPORT_TYPES) {
+    try {
+      for (const date of await getMissedPeriods(type)) {
+        const report = await generateReport(type, { io, adminSockets, now: date });
+        if (report) {
+          console.log(`Generated ${type} sales report for ${format(new Date(report.period_start), 'yyyy-MM-dd')}`);
+        }
+      }
+    } catch (err) {
+      console.error(`Error generating ${type} sales report:`, err);
+    }
+  }
+};
+
+/**
+ * Schedule the reports in this process: once a day at REPORT_HOUR
+ * @param {Object} io - Socket.io instance
+ * @param {Set} adminSockets - Set of admin socket IDs
+ */
+const startReportScheduler = (io, adminSockets) => {
+  const scheduleNext = () => {
+    const now = new Date();
+    let next = new Date(now.getFullYear(), now.getMonth(), now.getDate(), REPORT_HOUR);
+    if (next <= now) {
+      next = addDays(next, 1);
+    }
+
+    setTimeout(async () => {
+      await runDueReports(io, adminSockets);
+      scheduleNext();
+    }, next - now).unref();
+  };
+
+  // Catch up on reports missed while the server was down
+  runDueReports(io, adminSockets);
+
+  scheduleNext();
+};
+
+module.exports = {
+  REPORT_TYPES,
+  generateReport,
+  listReports,
+  findReportFile,
+  startReportScheduler
+};
@@ -0,0 +1,144 @@
+const db = require('../config/db');
+const { normalizeText, tokenize, buildMatchCondition } = require('./productSearch');
+const { loadCategories } = require('./categoryService');
+
+// How long a list of suggestions is served from memory
+const SUGGESTION_TTL = 60 * 1000;
+
+// Most lists of suggestions kept in memory; the oldest goes first
+const MAX_CACHED_SUGGESTIONS = 500;
+
+// How long the list of categories is kept before being reloaded
+const CATEGORY_TTL = 5 * 60 * 1000;
+
+// Longest query written to the search log
+const MAX_LOGGED_QUERY = 100;
+
+const suggestionCache = new Map();
+let categories = null;
+let categoriesLoadedAt = 0;
+
+/**
+ * Count a storefront search in the search log
+ * @param {string} query - Raw query
+ * @param {number} resultCount - Number of products found
+ */
+const logSearchQuery = async (query, resultCount) => {
+  const normalized = normalizeText(query).slice(0, MAX_LOGGED_QUERY);
+
+  if (!normalized) {
+    return;
+  }
+
+  try {
+    await db.query(
+      `INSERT INTO search_queries (query, result_count) VALUES (?, ?)
+       ON DUPLICATE KEY UPDATE search_count = search_count + 1, result_count = VALUES(result_count), last_searched_at = NOW()`,
+      [normalized, resultCount]
+    );
+  } catch (err) {
+    console.error('Error logging search query:', err);
+  }
+};
+
+// Active categories with their normalized names
+const loadSuggestedCategories = async () => {
+  if (categories && Date.now() - categoriesLoadedAt < CATEGORY_TTL) {
+    return categories;
+  }
+
+  categories = (await loadCategories())
+    .filter(category => category.active)
+    .map(category => ({
+      ...category,
+      normalized: ` ${normalizeText(`${category.name_fr} ${category.name_ar} ${category.slug.replace(/-/g, ' ')}`)}`
+    }));
+  categoriesLoadedAt = Date.now();
+  return categories;
+};
+
+const suggestProducts = async (terms, lang, limit) => {
+  const { where, params } = buildMatchCondition(terms, 'search_name');
+  const name = lang === 'ar' ? 'name_ar' : 'name_fr';
+
+  const [rows] = await db.query(
+    `SELECT id, ${name} as name, image, price, discount
+     FROM products
+     WHERE ${where}
+     ORDER BY (search_name LIKE ?) DESC, ${name} ASC
+     LIMIT ?`,
+    [...params, `${terms.join(' ')}%`, limit]
+  );
+
+  return rows;
+};
+
+const suggestCategories = async (terms, lang, limit) => {
+  const list = await loadSuggestedCategories();
+
+  return list
+    .filter(item => terms.every(term => item.normalized.includes(` ${term}`)))
+    .sort((a, b) => b.product_count - a.product_count)
+    .slice(0, limit)
+    .map(item => ({
+      id: item.id,
+      slug: item.slug,
+      name: lang === 'ar' ? item.name_ar : item.name_fr,
+      image: item.image,
+      productCount: item.product_count
+    }));
+};
+
+const suggestQueries = async (normalized, limit) => {
+  const [rows] = await db.query(
+    `SELECT query, search_count as searchCount
+     FROM search_queries
+     WHERE query LIKE ? AND result_count > 0
+     ORDER BY search_count DESC, last_searched_at DESC
+     LIMIT ?`,
+    [`${normalized.replace(/[%_]/g, '')}%`, limit]
+  );
+
+  return rows;
+};
+
+/**
+ * Suggestions for a search box: product names, categories and popular queries
+ * @param {string} query - What the customer typed so far
+ * @param {Object} options - { lang: 'fr'|'ar', limit }
+ * @returns {Promise<Object>} - { query, products, categories, queries }
+ */
+const getSuggestions = async (query, { lang = 'fr', limit = 5 } = {}) => {
+  const normalized = normalizeText(query);
+  const terms = tokenize(query);
+  const key = `${lang}:${limit}:${normalized}`;
+
+  if (terms.length === 0) {
+    return { query: normalized, products: [], categories: [], queries: [] };
+  }
+
+  const cached = suggestionCache.get(key);
+  if (cached && Date.now() - cached.createdAt < SUGGESTION_TTL) {
+    return cached.suggestions;
+  }
+
+  const [products, categoryList, queries] = await Promise.all([
+    suggestProducts(terms, lang, limit),
+    suggestCategories(terms, lang, limit),
+    suggestQueries(normalized, limit)
+  ]);
+  const suggestions = { query: normalized, products, categories: categoryList, queries };
+
+  suggestionCache.delete(key);
+  suggestionCache.set(key, { suggestions, createdAt: Date.now() });
+  if (suggestionCache.size > MAX_CACHED_SUGGESTIONS) {
+    suggestionCache.delete(suggestionCache.keys().next().value);
+  }
+
+  return suggestions;
+};
+
+module.exports = {
+  logSearchQuery,
+  getSuggestions
+};
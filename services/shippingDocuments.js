@@ -0,0 +1,231 @@
+const PDFDocument = require('pdfkit');
+const fs = require('fs');
+const path = require('path');
+const { format } = require('date-fns');
+const seller = require('../config/seller');
+const { drawCode39 } = require('./barcode');
+const { ARABIC_TEXT, arabicFontPath, checkInvoiceFont } = require('./invoiceService');
+
+const logoPath = path.join(__dirname, '../public/logo.png');
+
+// A6 shipping label, A4 packing slip
+const LABEL_SIZE = 'A6';
+const SLIP_SIZE = 'A4';
+
+// Color scheme shared with the order reports
+const colors = {
+  primary: '#1a56db',
+  text: '#1f2937',
+  textLight: '#4b5563',
+  lightBg: '#f3f4f6',
+  border: '#e5e7eb'
+};
+
+// Format an amount in MAD
+const mad = (amount) => `${(parseFloat(amount) || 0).toFixed(2)} MAD`;
+
+// Customer details and product names may be in Arabic, which Helvetica cannot draw
+const fontFor = (text, font) => (ARABIC_TEXT.test(text || '') ? 'Arabic' : font);
+
+/**
+ * Draw one shipping label on the current page
+ * @param {Object} doc - PDFDocument
+ * @param {Object} order - Order with its items
+ */
+const drawLabel = (doc, order) => {
+  const margin = 20;
+  const width = doc.page.width - margin * 2;
+
+  // Sender
+  doc.font('Helvetica-Bold').fontSize(8).fillColor(colors.textLight)
+    .text('EXPÉDITEUR', margin, margin);
+  doc.font('Helvetica').fontSize(8).fillColor(colors.text)
+    .text([seller.name, seller.phone].filter(Boolean).join(' - '), margin, doc.y, { width });
+
+  doc.moveTo(margin, doc.y + 6).lineTo(margin + width, doc.y + 6)
+    .strokeColor(colors.border).lineWidth(1).stroke();
+
+  // Recipient
+  doc.font('Helvetica-Bold').fontSize(8).fillColor(colors.textLight)
+    .text('DESTINATAIRE', margin, doc.y + 14);
+  doc.font(fontFor(order.name, 'Helvetica-Bold')).fontSize(14).fillColor(colors.text)
+    .text(order.name || 'N/A', margin, doc.y + 2, { width });
+  doc.font('Helvetica').fontSize(12)
+    .text(order.phone || 'N/A', margin, doc.y + 2, { width });
+  doc.font(fontFor(order.address, 'Helvetica')).fontSize(11)
+    .text(order.address || 'N/A', margin, doc.y + 4, { width, height: 70, ellipsis: true });
+
+  // Cash on delivery amount
+  const codTop = 220;
+  doc.rect(margin, codTop, width, 40).fill(colors.lightBg);
+  doc.font('Helvetica-Bold').fontSize(9).fillColor(colors.textLight)
+    .text('MONTANT À ENCAISSER', margin + 10, codTop + 6);
+  doc.fontSize(16).fillColor(colors.primary)
+    .text(mad(order.total), margin + 10, codTop + 18, { width: width - 20 });
+
+  // Order number as text and barcode
+  const itemCount = (order.items || []).reduce((sum, item) => sum + (parseInt(item.quantity) || 0), 0);
+  doc.font('Helvetica-Bold').fontSize(11).fillColor(colors.text)
+    .text(`Commande #${order.id}`, margin, 275);
+  doc.font('Helvetica').fontSize(8).fillColor(colors.textLight)
+    .text(`${itemCount} article(s) - ${format(new Date(order.order_date), 'dd/MM/yyyy')}`, margin, 290);
+
+  drawCode39(doc, String(order.id), margin, 310, { width, height: 60 });
+  doc.font('Helvetica').fontSize(9).fillColor(colors.text)
+    .text(String(order.id), margin, 375, { width, align: 'center' });
+};
+
+/**
+ * Draw one packing slip on the current page
+ * @param {Object} doc - PDFDocument
+ * @param {Object} order - Order with its items
+ */
+const drawPackingSlip = (doc, order) => {
+  const pageWidth = doc.page.width;
+
+  if (fs.existsSync(logoPath)) {
+    doc.image(logoPath, 50, 40, { fit: [80, 50] });
+  }
+
+  doc.font('Helvetica-Bold').fontSize(18).fillColor(colors.primary)
+    .text('Bon de préparation', 200, 45, { width: pageWidth - 250, align: 'right' });
+  doc.font('Helvetica').fontSize(10).fillColor(colors.textLight)
+    .text(`Commande #${order.id} - ${format(new Date(order.order_date), 'dd/MM/yyyy HH:mm')}`, 200, 70, {
+      width: pageWidth - 250,
+      align: 'right'
+    });
+
+  // Customer
+  doc.font('Helvetica-Bold').fontSize(11).fillColor(colors.primary).text('Client', 50, 115);
+  doc.font(fontFor(order.name, 'Helvetica')).fontSize(10).fillColor(colors.text)
+    .text(order.name || 'N/A', 50, doc.y);
+  doc.font('Helvetica').text(order.phone || 'N/A');
+  doc.font(fontFor(order.address, 'Helvetica')).text(order.address || 'N/A', { width: pageWidth - 100 });
+
+  if (order.notes) {
+    doc.font(fontFor(order.notes, 'Helvetica-Oblique')).fillColor(colors.textLight)
+      .text(`Notes: ${order.notes}`, 50, doc.y + 4, { width: pageWidth - 100 });
+  }
+
+  // Items to pick, with a box to tick
+  const tableLeft = 50;
+  const tableWidth = pageWidth - 100;
+  const colWidths = [30, 250, 140, 40, 35];
+  let yPos = Math.max(doc.y + 20, 200);
+
+  doc.rect(tableLeft, yPos, tableWidth, 22).fill(colors.primary);
+  doc.fillColor('#FFFFFF').font('Helvetica-Bold').fontSize(10);
+
+  let xPos = tableLeft + 5;
+  ['#', 'Article', 'Variante', 'Qté', 'OK'].forEach((header, i) => {
+    doc.text(header, xPos, yPos + 7, { width: colWidths[i] - 10, align: i === 3 ? 'right' : 'left' });
+    xPos += colWidths[i];
+  });
+
+  yPos += 22;
+
+  (order.items || []).forEach((item, i) => {
+    const arabicName = item.name_ar
+      ? [item.name_ar, item.variant_name_ar].filter(Boolean).join(' - ')
+      : null;
+    const rowHeight = arabicName ? 38 : 24;
+
+    if (yPos + rowHeight > doc.page.height - 60) {
+      doc.addPage({ size: SLIP_SIZE, margin: 50 });
+      yPos = 50;
+    }
+
+    if (i % 2 === 1) {
+      doc.rect(tableLeft, yPos, tableWidth, rowHeight).fill(colors.lightBg);
+    }
+
+    doc.fillColor(colors.text).font('Helvetica').fontSize(10);
+    xPos = tableLeft + 5;
+
+    doc.text(String(i + 1), xPos, yPos + 7, { width: colWidths[0] - 10 });
+    xPos += colWidths[0];
+
+    doc.font(fontFor(item.name_fr, 'Helvetica'))
+      .text(item.name_fr || 'Article inconnu', xPos, yPos + 7, { width: colWidths[1] - 10, ellipsis: true, lineBreak: false });
+    if (arabicName) {
+      doc.font('Arabic').fontSize(9)
+        .text(arabicName, xPos, yPos + 21, { width: colWidths[1] - 10, align: 'right', lineBreak: false });
+      doc.fontSize(10);
+    }
+    doc.font('Helvetica');
+    xPos += colWidths[1];
+
+    // Color swatch next to the variant name
+    if (item.variant_name_fr) {
+      if (item.variant_hex) {
+        doc.rect(xPos, yPos + 6, 10, 10).fillAndStroke(item.variant_hex, colors.border);
+        doc.fillColor(colors.text);
+      }
+      doc.font(fontFor(item.variant_name_fr, 'Helvetica'))
+        .text(item.variant_name_fr, xPos + 15, yPos + 7, { width: colWidths[2] - 25, ellipsis: true, lineBreak: false });
+      doc.font('Helvetica');
+    } else {
+      doc.text('-', xPos, yPos + 7, { width: colWidths[2] - 10 });
+    }
+    xPos += colWidths[2];
+
+    doc.font('Helvetica-Bold')
+      .text(String(item.quantity), xPos, yPos + 7, { width: colWidths[3] - 10, align: 'right' });
+    xPos += colWidths[3];
+
+    doc.rect(xPos + 5, yPos + 5, 12, 12).strokeColor(colors.textLight).lineWidth(1).stroke();
+
+    yPos += rowHeight;
+  });
+
+  doc.moveTo(tableLeft, yPos).lineTo(tableLeft + tableWidth, yPos)
+    .strokeColor(colors.border).lineWidth(1).stroke();
+
+  const itemCount = (order.items || []).reduce((sum, item) => sum + (parseInt(item.quantity) || 0), 0);
+  doc.font('Helvetica-Bold').fontSize(11).fillColor(colors.text)
+    .text(`Total articles: ${itemCount}`, tableLeft, yPos + 12, { width: tableWidth, align: 'right' })
+    .text(`À encaisser: ${mad(order.total)}`, tableLeft, doc.y + 2, { width: tableWidth, align: 'right' });
+};
+
+/**
+ * Render shipping labels and packing slips for a batch of orders.
+ * All labels come first so they can be printed on a label printer in one go.
+ * @param {Array} orders - Orders with their items
+ * @param {Object} stream - Writable stream (HTTP response or file)
+ * @param {Object} options - { labels, slips } to choose which documents to include
+ */
+const renderShippingDocuments = (orders, stream, { labels = true, slips = true } = {}) => {
+  checkInvoiceFont();
+
+  const doc = new PDFDocument({
+    autoFirstPage: false,
+    info: {
+      Title: 'Étiquettes et bons de préparation',
+      Author: seller.name
+    }
+  });
+
+  doc.pipe(stream);
+
+  doc.registerFont('Arabic', arabicFontPath);
+
+  if (labels) {
+    orders.forEach(order => {
+      doc.addPage({ size: LABEL_SIZE, margin: 20 });
+      drawLabel(doc, order);
+    });
+  }
+
+  if (slips) {
+    orders.forEach(order => {
+      doc.addPage({ size: SLIP_SIZE, margin: 50 });
+      drawPackingSlip(doc, order);
+    });
+  }
+
+  doc.end();
+};
+
+module.exports = {
+  renderShippingDocuments
+};
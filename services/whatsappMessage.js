@@ -0,0 +1,67 @@
+// Shop WhatsApp number in international format, digits only (e.g. 212600000000)
+const getShopNumber = () => (process.env.WHATSAPP_NUMBER || '').replace(/\D/g, '');
+
+/**
+ * Format an amount in MAD
+ * @param {number} amount - Amount
+ * @param {string} currency - Currency label
+ * @returns {string}
+ */
+const formatAmount = (amount, currency) => `${(parseFloat(amount) || 0).toFixed(2)} ${currency}`;
+
+/**
+ * Build the bilingual (French, then Arabic) order summary sent over WhatsApp
+ * @param {Object} order - Order row
+ * @param {Array} items - Items with line totals (getOrderItems + withLineTotals)
+ * @param {Object} totals - Order totals from withLineTotals
+ * @returns {string} - Message text
+ */
+const buildOrderMessage = (order, items, totals) => {
+  const lines = [];
+
+  lines.push(`Bonjour, je souhaite confirmer ma commande #${order.id} :`);
+  items.forEach((item, index) => {
+    const variant = item.variant_name_fr ? ` (${item.variant_name_fr})` : '';
+    lines.push(`${index + 1}. ${item.name_fr}${variant} x${item.quantity} - ${formatAmount(item.line_total, 'MAD')}`);
+  });
+  if (totals.discountTotal > 0) {
+    lines.push(`Remise : -${formatAmount(totals.discountTotal, 'MAD')}`);
+  }
+  lines.push(`Total : ${formatAmount(totals.total, 'MAD')}`);
+
+  lines.push('');
+
+  lines.push(`مرحبا، أود تأكيد طلبي رقم ${order.id} :`);
+  items.forEach((item, index) => {
+    const name = item.name_ar || item.name_fr;
+    const variantName = item.variant_name_ar || item.variant_name_fr;
+    const variant = variantName ? ` (${variantName})` : '';
+    lines.push(`${index + 1}. ${name}${variant} x${item.quantity} - ${formatAmount(item.line_total, 'درهم')}`);
+  });
+  if (totals.discountTotal > 0) {
+    lines.push(`التخفيض : -${formatAmount(totals.discountTotal, 'درهم')}`);
+  }
+  lines.push(`المجموع : ${formatAmount(totals.total, 'درهم')}`);
+
+  return lines.join('\n');
+};
+
+/**
+ * Build a wa.me link that opens a chat with the shop and a pre-filled message
+ * @param {string} message - Message text
+ * @returns {string|null} - Link, or null if the shop number is not configured
+ */
+const buildWhatsAppLink = (message) => {
+  const shopNumber = getShopNumber();
+
+  if (!shopNumber) {
+    return null;
+  }
+
+  return `https://wa.me/${shopNumber}?text=${encodeURIComponent(message)}`;
+};
+
+module.exports = {
+  buildOrderMessage,
+  buildWhatsAppLink
+};
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+// CSV helpers never query; fail loudly if they do
+const dbPath = path.join(__dirname, '../config/db.js');
+require.cache[dbPath] = {
+  id: dbPath,
+  filename: dbPath,
+  loaded: true,
+  exports: {
+    query: async () => { throw new Error('Unexpected database query'); }
+  }
+};
+
+const { csvValue, fromCsvValue } = require('../services/exportService');
+
+test('values with separators, quotes or line breaks are quoted', () => {
+  assert.strictEqual(csvValue('Rue 5, Casablanca'), '"Rue 5, Casablanca"');
+  assert.strictEqual(csvValue('Rouge "mat"'), '"Rouge ""mat"""');
+  assert.strictEqual(csvValue('ligne 1\nligne 2'), '"ligne 1\nligne 2"');
+  assert.strictEqual(csvValue(null), '');
+  assert.strictEqual(csvValue(undefined), '');
+});
+
+test('text that would run as a formula is prefixed', () => {
+  assert.strictEqual(csvValue('=HYPERLINK("http://x")'), '"\'=HYPERLINK(""http://x"")"');
+  assert.strictEqual(csvValue('+1+cmd'), "'+1+cmd");
+  assert.strictEqual(csvValue('-2-3'), "'-2-3");
+  assert.strictEqual(csvValue('@SUM(A1)'), "'@SUM(A1)");
+});
+
+test('phone numbers and signed numbers are written as they are', () => {
+  assert.strictEqual(csvValue('+212612345678'), '+212612345678');
+  assert.strictEqual(csvValue('+212 6 12 34 56 78'), '+212 6 12 34 56 78');
+  assert.strictEqual(csvValue('-15.5'), '-15.5');
+  assert.strictEqual(csvValue(-15), '-15');
+});
+
+test('the formula prefix is removed when reading a CSV back', () => {
+  assert.strictEqual(fromCsvValue("'=1+1"), '=1+1');
+  assert.strictEqual(fromCsvValue('+212612345678'), '+212612345678');
+  assert.strictEqual(fromCsvValue("'+212612345678"), "'+212612345678");
+  assert.strictEqual(fromCsvValue("l'huile"), "l'huile");
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { roundPrice, applyDiscount } = require('../services/orderPricing');
+
+test('amounts are rounded to the cent', () => {
+  assert.strictEqual(roundPrice(10.005), 10.01);
+  assert.strictEqual(roundPrice(0.1 + 0.2), 0.3);
+  assert.strictEqual(roundPrice(99.994), 99.99);
+});
+
+test('the discount percentage comes off the list price', () => {
+  assert.strictEqual(applyDiscount(100, 10), 90);
+  assert.strictEqual(applyDiscount(149.9, 15), 127.42);
+  assert.strictEqual(applyDiscount(80, 0), 80);
+});
+
+test('a missing discount leaves the price unchanged', () => {
+  assert.strictEqual(applyDiscount(80, null), 80);
+  assert.strictEqual(applyDiscount(80, undefined), 80);
+});
+
+test('discounts are kept between 0 and 100 percent', () => {
+  assert.strictEqual(applyDiscount(80, -20), 80);
+  assert.strictEqual(applyDiscount(80, 150), 0);
+});
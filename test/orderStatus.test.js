@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { ORDER_STATUSES, canTransition } = require('../services/orderStatus');
+
+test('orders move forward through the delivery steps', () => {
+  assert.ok(canTransition('pending', 'confirmed'));
+  assert.ok(canTransition('confirmed', 'shipped'));
+  assert.ok(canTransition('confirmed', 'delivered'));
+  assert.ok(canTransition('shipped', 'delivered'));
+  assert.ok(canTransition('delivered', 'returned'));
+});
+
+test('orders can be cancelled until they are delivered', () => {
+  assert.ok(canTransition('pending', 'cancelled'));
+  assert.ok(canTransition('confirmed', 'cancelled'));
+  assert.ok(canTransition('shipped', 'cancelled'));
+  assert.ok(!canTransition('delivered', 'cancelled'));
+});
+
+test('orders cannot go back to an earlier status', () => {
+  assert.ok(!canTransition('confirmed', 'pending'));
+  assert.ok(!canTransition('shipped', 'confirmed'));
+  assert.ok(!canTransition('pending', 'shipped'));
+});
+
+test('returned and cancelled orders are final', () => {
+  ORDER_STATUSES.forEach(status => {
+    assert.ok(!canTransition('returned', status));
+    assert.ok(!canTransition('cancelled', status));
+  });
+});
+
+test('unknown statuses allow no move', () => {
+  assert.ok(!canTransition('lost', 'pending'));
+  assert.ok(!canTransition('pending', 'lost'));
+  assert.ok(!canTransition('pending', 'pending'));
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { normalizePhone } = require('../services/phoneNumber');
+
+test('local numbers get the Moroccan country code', () => {
+  assert.strictEqual(normalizePhone('0612345678'), '+212612345678');
+  assert.strictEqual(normalizePhone('0712345678'), '+212712345678');
+  assert.strictEqual(normalizePhone('0522123456'), '+212522123456');
+});
+
+test('international numbers are kept in one form', () => {
+  assert.strictEqual(normalizePhone('+212612345678'), '+212612345678');
+  assert.strictEqual(normalizePhone('00212612345678'), '+212612345678');
+});
+
+test('spaces, dots, dashes and parentheses are ignored', () => {
+  assert.strictEqual(normalizePhone(' 06 12 34 56 78 '), '+212612345678');
+  assert.strictEqual(normalizePhone('06.12.34.56.78'), '+212612345678');
+  assert.strictEqual(normalizePhone('+212 (6) 12-34-56-78'), '+212612345678');
+});
+
+test('numbers that are not Moroccan phone numbers are refused', () => {
+  assert.strictEqual(normalizePhone('061234567'), null);
+  assert.strictEqual(normalizePhone('06123456789'), null);
+  assert.strictEqual(normalizePhone('0812345678'), null);
+  assert.strictEqual(normalizePhone('+33612345678'), null);
+  assert.strictEqual(normalizePhone('WhatsApp'), null);
+});
+
+test('empty and non-text values are refused', () => {
+  assert.strictEqual(normalizePhone(''), null);
+  assert.strictEqual(normalizePhone(null), null);
+  assert.strictEqual(normalizePhone(612345678), null);
+});
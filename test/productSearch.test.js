@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+// Search must not reach the database for these queries; fail loudly if it does
+const dbPath = path.join(__dirname, '../config/db.js');
+require.cache[dbPath] = {
+  id: dbPath,
+  filename: dbPath,
+  loaded: true,
+  exports: {
+    query: async () => { throw new Error('Unexpected database query'); }
+  }
+};
+
+const { tokenize, buildMatchCondition, searchProducts } = require('../services/productSearch');
+
+test('punctuation-only queries have no search terms', () => {
+  assert.deepStrictEqual(tokenize('!!!'), []);
+  assert.deepStrictEqual(tokenize(' ?.,;:-_ '), []);
+});
+
+test('a condition without terms matches nothing', () => {
+  const { where, params, against } = buildMatchCondition([], 'search_name');
+
+  assert.strictEqual(where, 'FALSE');
+  assert.deepStrictEqual(params, []);
+  assert.strictEqual(against, null);
+});
+
+test('searching for punctuation returns an empty page', async () => {
+  const result = await searchProducts('!!!', { page: 2, limit: 10 });
+
+  assert.deepStrictEqual(result, {
+    products: [],
+    pagination: { page: 2, limit: 10, total: 0, totalPages: 0 },
+    facets: null,
+    terms: [],
+    correctedQuery: null
+  });
+});
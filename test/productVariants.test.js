@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseVariants } = require('../services/productVariants');
+
+const rose = { type: 'color', value_fr: 'Rose', value_ar: 'وردي', hex_code: '#ff00aa' };
+const volume = { type: 'volume', value_fr: '50 ml', value_ar: '50 مل' };
+
+test('variants are read with their options', () => {
+  const { variants, error } = parseVariants({
+    variants: JSON.stringify([
+      { id: 3, sku: ' ROSE-50 ', price: '149.5', stock: '4', low_stock_threshold: '2', options: [rose, volume] }
+    ])
+  });
+
+  assert.strictEqual(error, undefined);
+  assert.strictEqual(variants.length, 1);
+  assert.deepStrictEqual(variants[0], {
+    index: 0,
+    id: 3,
+    sku: 'ROSE-50',
+    price: 149.5,
+    priceSent: true,
+    stock: 4,
+    threshold: 2,
+    thresholdSent: true,
+    image: null,
+    imageSent: false,
+    imageField: 'variantImage_0',
+    options: [rose, { ...volume, hex_code: null }]
+  });
+});
+
+test('new variants have no ID', () => {
+  const { variants } = parseVariants({
+    variants: JSON.stringify([
+      { id: 'temp-1', options: [rose] },
+      { options: [volume] },
+      { id: 7, isNew: true, options: [rose] }
+    ])
+  });
+
+  assert.deepStrictEqual(variants.map(variant => variant.id), [null, null, null]);
+});
+
+test('an empty price uses the product price', () => {
+  const { variants } = parseVariants({ variants: JSON.stringify([{ id: 3, price: '', options: [rose] }]) });
+
+  assert.strictEqual(variants[0].price, null);
+  assert.strictEqual(variants[0].priceSent, true);
+});
+
+test('fields left out keep their current value', () => {
+  const { variants } = parseVariants({ variants: JSON.stringify([{ id: 3, options: [rose] }]) });
+
+  assert.strictEqual(variants[0].priceSent, false);
+  assert.strictEqual(variants[0].stock, null);
+  assert.strictEqual(variants[0].thresholdSent, false);
+  assert.strictEqual(variants[0].imageSent, false);
+});
+
+test('colors from older admin clients become color variants', () => {
+  const { variants } = parseVariants({
+    colors: JSON.stringify([{ id: 5, name_fr: 'Rose', name_ar: 'وردي', hex_code: '#ff00aa', stock: 6 }])
+  });
+
+  assert.strictEqual(variants[0].id, 5);
+  assert.strictEqual(variants[0].stock, 6);
+  assert.strictEqual(variants[0].priceSent, false);
+  assert.strictEqual(variants[0].imageField, 'colorImage_0');
+  assert.deepStrictEqual(variants[0].options, [rose]);
+});
+
+test('invalid variants are refused', () => {
+  const cases = [
+    [{ variants: 'not json' }, 'Variants must be a JSON array'],
+    [{ variants: '{}' }, 'Variants must be a JSON array'],
+    [{ variants: JSON.stringify([{ sku: 'A', options: [] }]) }, 'Variant A needs at least one option'],
+    [{ variants: JSON.stringify([{ sku: 'A', options: [{ type: 'color', value_fr: 'Rose' }] }]) },
+      'Every option of variant A needs a type and French and Arabic values'],
+    [{ variants: JSON.stringify([{ sku: 'A', options: [{ ...rose, hex_code: 'pink' }] }]) },
+      'Color of variant A must look like #A1B2C3'],
+    [{ variants: JSON.stringify([{ sku: 'A', price: '-1', options: [rose] }]) },
+      'Price of variant A must be a number of 0 or more'],
+    [{ variants: JSON.stringify([{ sku: 'A', low_stock_threshold: 'abc', options: [rose] }]) },
+      'Low stock threshold of variant A must be a whole number of 0 or more']
+  ];
+
+  cases.forEach(([body, error]) => {
+    assert.deepStrictEqual(parseVariants(body), { error });
+  });
+});